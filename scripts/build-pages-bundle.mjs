@@ -19,8 +19,20 @@ await build({
   },
 });
 
+// Loaded by the main bundle via new URL('./eclipseSearch.worker.js', import.meta.url).
+await build({
+  entryPoints: ['src/eclipseSearch.worker.js'],
+  bundle: true,
+  format: 'esm',
+  target: ['es2020'],
+  outfile: 'eclipseSearch.worker.js',
+  define: {
+    'import.meta.env.BASE_URL': JSON.stringify(repoBase),
+  },
+});
+
 await mkdir('data', { recursive: true });
 await cp('public/data/ne_50m_land.json', 'data/ne_50m_land.json');
 await cp('public/favicon.svg', 'favicon.svg');
 
-console.log('Generated main.js/main.css + data/ne_50m_land.json + favicon.svg');
+console.log('Generated main.js/main.css + eclipseSearch.worker.js + data/ne_50m_land.json + favicon.svg');
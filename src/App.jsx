@@ -1,13 +1,25 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import {
   CONTROL_GROUPS,
+  CORRECTION_TOGGLES,
   INITIAL_PARAMS,
   clamp,
+  computeLocalCircumstances,
   deriveModel,
   deriveSimulationState,
-  findNextLocalEclipse,
+  findGreatestEclipse,
+  findSarosMember,
   getRealParameters,
 } from './simulation.js';
+import {
+  CALENDAR_MODES,
+  DEFAULT_CALENDAR,
+  YEAR_STYLES,
+  formatCalendarDate,
+  parseCalendarDate,
+} from './calendar.js';
+import { EPHEMERIS_BACKENDS, getEphemeris } from './ephemeris.js';
+import { DELTA_T_MODELS } from './timeScales.js';
 import { VIEWS } from './views.js';
 
 const SPEED_MIN = 1;
@@ -17,6 +29,40 @@ const MIN_CANVAS_HEIGHT = 220;
 const MOBILE_BREAKPOINT = 740;
 const MOBILE_MAX_CANVAS_VIEWPORT_RATIO = 0.62;
 const MOBILE_CANVAS_ASPECT = 16 / 9;
+const CONTACT_KEYS = [
+  { key: 'c1', label: 'C1 начало' },
+  { key: 'c2', label: 'C2' },
+  { key: 'max', label: 'Максимум' },
+  { key: 'c3', label: 'C3' },
+  { key: 'c4', label: 'C4 конец' },
+];
+const CATALOG_COLUMNS = [
+  { key: 'date', label: 'Дата' },
+  { key: 'type', label: 'Тип' },
+  { key: 'gamma', label: 'γ' },
+  { key: 'magnitude', label: 'Фаза' },
+  { key: 'saros', label: 'Сарос' },
+  { key: 'lat', label: 'Точка' },
+];
+const CATALOG_TYPE_LABELS = {
+  total: 'полное',
+  annular: 'кольцеобр.',
+  partial: 'частное',
+  hybrid: 'гибридное',
+};
+const CATALOG_DEFAULT_YEARS = 10;
+const SEARCH_TYPES = [
+  { key: 'any', label: 'Любое' },
+  { key: 'total', label: 'Полное' },
+  { key: 'annular', label: 'Кольцеобр.' },
+  { key: 'partial', label: 'Частное' },
+];
+const ACCURACY_ROWS = [
+  { key: 'sunLon', label: 'λ☉' },
+  { key: 'moonLon', label: 'λ☾' },
+  { key: 'moonLat', label: 'β☾' },
+  { key: 'moonDistanceKm', label: 'Δ☾' },
+];
 const EARTH_MODES = [
   { key: 'map', label: '2D КАРТА' },
   { key: 'globe', label: '3D ГЛОБУС' },
@@ -30,7 +76,26 @@ export default function App() {
   const [speed, setSpeed] = useState(3600);
   const [simHours, setSimHours] = useState(0);
   const [startDate, setStartDate] = useState(() => new Date());
+  const [calendarSettings, setCalendarSettings] = useState(DEFAULT_CALENDAR);
   const [landDataVersion, setLandDataVersion] = useState(0);
+  const [catalogRange, setCatalogRange] = useState(() => {
+    const from = new Date();
+    const to = new Date(from.getTime());
+    to.setUTCFullYear(to.getUTCFullYear() + CATALOG_DEFAULT_YEARS);
+    return { from, to };
+  });
+  const [catalog, setCatalog] = useState([]);
+  const [catalogSearch, setCatalogSearch] = useState({ status: 'idle' });
+  const [catalogSort, setCatalogSort] = useState({ key: 'date', direction: 1 });
+  const [sarosSeries, setSarosSeries] = useState(undefined);
+  const [sarosLoading, setSarosLoading] = useState(false);
+  const [search, setSearch] = useState({ status: 'idle' });
+  const [searchFilters, setSearchFilters] = useState({
+    type: 'any',
+    minObscuration: 0,
+    minSunAltitude: null,
+  });
+  const [visitedEclipses, setVisitedEclipses] = useState([]);
   const [viewport, setViewport] = useState({
     cssWidth: 960,
     cssHeight: 540,
@@ -41,6 +106,15 @@ export default function App() {
 
   const frameRef = useRef(null);
   const canvasRef = useRef(null);
+  const searchWorkerRef = useRef(null);
+  const catalogWorkerRef = useRef(null);
+  const sarosWorkerRef = useRef(null);
+  useEffect(
+    () => () => {
+      [searchWorkerRef, catalogWorkerRef, sarosWorkerRef].forEach((ref) => ref.current?.terminate());
+    },
+    [],
+  );
 
   useEffect(() => {
     if (!isPlaying) return undefined;
@@ -136,6 +210,45 @@ export default function App() {
     [startDate, simHours],
   );
   const speedSliderValue = useMemo(() => speedToSlider(speed), [speed]);
+  const sortedCatalog = useMemo(() => {
+    const valueOf = (entry) => {
+      if (catalogSort.key === 'date') return entry.date.getTime();
+      if (catalogSort.key === 'gamma') return Math.abs(entry.gamma);
+      return entry[catalogSort.key];
+    };
+    return [...catalog].sort((a, b) => {
+      const left = valueOf(a);
+      const right = valueOf(b);
+      if (left === right) return a.date - b.date;
+      return (left > right ? 1 : -1) * catalogSort.direction;
+    });
+  }, [catalog, catalogSort]);
+  // Contacts only move when the eclipse does, so recompute once per simulated hour.
+  const circumstancesAnchorHours = Math.round(simHours);
+  const localCircumstances = useMemo(
+    () => computeLocalCircumstances(params, circumstancesAnchorHours, startDate),
+    [params, circumstancesAnchorHours, startDate],
+  );
+  const greatestEclipse = useMemo(
+    () => findGreatestEclipse(params, circumstancesAnchorHours, startDate),
+    [params, circumstancesAnchorHours, startDate],
+  );
+  // The member number walks the whole series, so it is found once per eclipse (lunation), not per hour.
+  const greatestLunation = greatestEclipse?.lunation ?? null;
+  const greatestSarosMember = useMemo(
+    () => (greatestEclipse ? findSarosMember(params, greatestEclipse, startDate) : null),
+    [params, startDate, greatestLunation],
+  );
+  const sarosProgression = useMemo(() => {
+    if (!sarosSeries) return '';
+    const runs = [];
+    sarosSeries.members.forEach((member) => {
+      const last = runs[runs.length - 1];
+      if (last?.type === member.type) last.count += 1;
+      else runs.push({ type: member.type, count: 1 });
+    });
+    return runs.map((run) => `${run.count} ${CATALOG_TYPE_LABELS[run.type]}`).join(' → ');
+  }, [sarosSeries]);
 
   useEffect(() => {
     if (!canvasRef.current) return;
@@ -159,14 +272,36 @@ export default function App() {
 
   const metrics = useMemo(
     () => [
-      { key: 'class', label: 'Класс', value: model.eclipseClass },
+      {
+        key: 'class',
+        label: 'Класс',
+        value: model.eclipseClass,
+        note:
+          model.eclipseClass !== model.instantEclipseClass
+            ? `сейчас: ${model.instantEclipseClass.toLowerCase()}`
+            : undefined,
+      },
       { key: 'depth', label: 'Глубина', value: `${(model.depth * 100).toFixed(1)}%` },
+      {
+        key: 'lunarClass',
+        label: 'Луна в тени',
+        value: model.lunarEclipseClass,
+        note: `умбр. фаза ${Math.max(0, model.umbralMagnitude).toFixed(3)}`,
+      },
       { key: 'offset', label: 'Луна-Солнце', value: `${model.moonToSun.toFixed(2)}°` },
       {
         key: 'moonDistance',
         label: 'Луна',
         value: `${Math.round(model.moonDistanceKm).toLocaleString('ru-RU')} км`,
       },
+      {
+        key: 'shadowSpeed',
+        label: 'Скорость тени',
+        value: model.shadowVelocity ? `${model.shadowVelocity.speedKmS.toFixed(3)} км/с` : '—',
+        note: model.shadowVelocity
+          ? `азимут ${model.shadowVelocity.azimuthDeg.toFixed(0)}° · ${Math.round(model.shadowVelocity.speedKmS * 3600).toLocaleString('ru-RU')} км/ч`
+          : undefined,
+      },
       { key: 'centerLat', label: 'Широта тени', value: `${model.centralLat.toFixed(2)}°` },
       { key: 'centerLon', label: 'Долгота тени', value: `${model.centralLon.toFixed(2)}°` },
       {
@@ -174,9 +309,25 @@ export default function App() {
         label: 'До тени',
         value: `${Math.round(model.observerToShadowKm).toLocaleString('ru-RU')} км`,
       },
-      { key: 'clock', label: 'Время', value: formatClock(simDate) },
+      { key: 'clock', label: 'Время', value: formatClock(simDate, calendarSettings) },
+      {
+        key: 'deltaT',
+        label: 'ΔT (TT − UT)',
+        value: `${model.deltaTSeconds.toFixed(1)} с`,
+        note: DELTA_T_MODELS.find((item) => item.key === model.deltaTModel)?.label,
+      },
+      ...CONTACT_KEYS.map(({ key, label }) => {
+        const contact = localCircumstances?.[key];
+        if (!contact) return { key, label, value: '—' };
+        return {
+          key,
+          label,
+          value: formatUtc(contact.date, calendarSettings),
+          note: `☉ h ${contact.apparentSunAltitude.toFixed(1)}° A ${contact.sunAzimuth.toFixed(0)}° · P ${contact.positionAngle.toFixed(0)}°`,
+        };
+      }),
     ],
-    [model, simDate],
+    [calendarSettings, localCircumstances, model, simDate],
   );
   const activeViewDescription = useMemo(() => {
     if (activeView.id !== 'earth') return activeView.description;
@@ -189,10 +340,129 @@ export default function App() {
     return earthMode === 'globe' ? 'Земля / 3D' : 'Земля / 2D';
   }, [activeView, earthMode]);
 
+  const orbitFollowsControls = Boolean(getEphemeris(params.ephemeris).drivenByControls);
+
   const updateField = (key, value) => {
     setParams((current) => ({ ...current, [key]: value }));
   };
 
+  const stopCatalogWorker = () => {
+    catalogWorkerRef.current?.terminate();
+    catalogWorkerRef.current = null;
+  };
+
+  // The catalog has its own worker, so it does not cancel a running eclipse search.
+  const runCatalogSearch = () => {
+    const fromHours = (catalogRange.from.getTime() - startDate.getTime()) / 3600000;
+    const toHours = (catalogRange.to.getTime() - startDate.getTime()) / 3600000;
+    stopCatalogWorker();
+    setCatalogSearch({ status: 'running', fraction: 0 });
+    catalogWorkerRef.current = startSearchWorker(
+      {
+        scope: 'catalog',
+        base: params,
+        fromHours: Math.min(fromHours, toHours),
+        toHours: Math.max(fromHours, toHours),
+        startDate,
+      },
+      {
+        onProgress: (progress) => setCatalogSearch({ status: 'running', fraction: progress.fraction }),
+        onResult: (result) => {
+          stopCatalogWorker();
+          setCatalog(result);
+          setCatalogSearch({ status: 'done' });
+        },
+        onError: (message) => {
+          stopCatalogWorker();
+          setCatalogSearch({ status: 'failed', message });
+        },
+      },
+    );
+  };
+
+  const showSarosSeries = () => {
+    sarosWorkerRef.current?.terminate();
+    setSarosLoading(true);
+    const finish = (series) => {
+      sarosWorkerRef.current?.terminate();
+      sarosWorkerRef.current = null;
+      setSarosLoading(false);
+      setSarosSeries(series);
+    };
+    sarosWorkerRef.current = startSearchWorker(
+      { scope: 'saros', base: params, fromHours: simHours, startDate },
+      { onResult: finish, onError: () => finish(null) },
+    );
+  };
+
+  const cancelCatalogSearch = () => {
+    stopCatalogWorker();
+    setCatalogSearch({ status: 'idle' });
+  };
+
+  const stopSearchWorker = () => {
+    searchWorkerRef.current?.terminate();
+    searchWorkerRef.current = null;
+  };
+
+  // Found eclipses outlive the start date they were searched from, so jumps go by their date.
+  const jumpToEclipse = (eclipse) => {
+    setSimHours((eclipse.date.getTime() - startDate.getTime()) / 3600000);
+    setIsPlaying(false);
+  };
+
+  // Every eclipse reached by the step buttons goes into a date-ordered index, once.
+  const visitEclipse = (entry) => {
+    jumpToEclipse(entry);
+    setVisitedEclipses((current) => {
+      if (current.some((item) => item.scope === entry.scope && Math.abs(item.date - entry.date) < 3600000)) {
+        return current;
+      }
+      return [...current, entry].sort((a, b) => a.date - b.date);
+    });
+  };
+
+  // 'local' searches from the observer's point, 'global' anywhere on Earth (the observer is ignored).
+  const runSearch = (scope, direction) => {
+    stopSearchWorker();
+    setSearch({ status: 'running', scope, fraction: 0, date: simDate });
+    searchWorkerRef.current = startSearchWorker(
+      { scope, base: params, fromHours: simHours, startDate, filters: { ...searchFilters, direction } },
+      {
+        onProgress: (progress) =>
+          setSearch({ status: 'running', scope, fraction: progress.fraction, date: progress.date }),
+        onResult: (result) => {
+          stopSearchWorker();
+          setSearch({ status: 'done', scope, result });
+          if (result) {
+            const found = result.eclipse ?? { ...result.circumstances, date: result.circumstances.max.date };
+            visitEclipse({ scope, date: found.date, type: found.type });
+          }
+        },
+        onError: (message) => {
+          stopSearchWorker();
+          setSearch({ status: 'failed', message });
+        },
+      },
+    );
+  };
+
+  const cancelSearch = () => {
+    stopSearchWorker();
+    setSearch({ status: 'cancelled' });
+  };
+
+  const updateSearchFilter = (key, value) => {
+    setSearchFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  const toggleCatalogSort = (key) => {
+    setCatalogSort((current) => ({
+      key,
+      direction: current.key === key ? -current.direction : 1,
+    }));
+  };
+
   return (
     <div className="app-shell">
       <header className="topbar panel">
@@ -206,7 +476,7 @@ export default function App() {
             <strong>{isPlaying ? 'PLAY' : 'PAUSE'}</strong>
           </div>
           <div className="status-chip mono">{formatSpeed(speed)}</div>
-          <div className="status-chip mono">{formatClock(simDate)}</div>
+          <div className="status-chip mono">{formatClock(simDate, calendarSettings)}</div>
         </div>
       </header>
 
@@ -227,7 +497,13 @@ export default function App() {
                 className="btn"
                 type="button"
                 onClick={() => {
-                  setParams(getRealParameters(startDate));
+                  setParams(
+                    getRealParameters(startDate, {
+                      deltaTModel: params.deltaTModel,
+                      deltaTOverrideSec: params.deltaTOverrideSec,
+                      ephemeris: params.ephemeris,
+                    }),
+                  );
                   setSimHours(0);
                   setIsPlaying(false);
                 }}
@@ -235,22 +511,181 @@ export default function App() {
                 Реальные
               </button>
             </div>
-            <button
-              className="btn"
-              type="button"
-              style={{ width: '100%', marginBottom: '0.65rem' }}
-              onClick={() => {
-                const nextT = findNextLocalEclipse(params, simHours, startDate);
-                if (nextT !== null) {
-                  setSimHours(nextT);
-                  setIsPlaying(false);
-                } else {
-                  alert('Затмение не найдено в ближайшие 800 лет.');
-                }
-              }}
-            >
-              Следующее затмение в этой точке
-            </button>
+            <div className="preset-row">
+              {SEARCH_TYPES.map((item) => (
+                <button
+                  key={item.key}
+                  type="button"
+                  className={`chip ${searchFilters.type === item.key ? 'active' : ''}`}
+                  onClick={() => updateSearchFilter('type', item.key)}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+            <label className="control-line">
+              <div className="control-head">
+                <span>Мин. закрытие Солнца</span>
+                <strong>{`${Math.round(searchFilters.minObscuration * 100)}%`}</strong>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="1"
+                value={Math.round(searchFilters.minObscuration * 100)}
+                onChange={(event) => updateSearchFilter('minObscuration', Number(event.target.value) / 100)}
+              />
+            </label>
+            <div className="preset-row">
+              <button
+                type="button"
+                className={`chip ${searchFilters.minSunAltitude === null ? 'active' : ''}`}
+                onClick={() => updateSearchFilter('minSunAltitude', null)}
+              >
+                Любая высота
+              </button>
+              <button
+                type="button"
+                className={`chip ${searchFilters.minSunAltitude !== null ? 'active' : ''}`}
+                onClick={() => updateSearchFilter('minSunAltitude', searchFilters.minSunAltitude ?? 0)}
+              >
+                Не ниже
+              </button>
+            </div>
+            <label className="control-line">
+              <div className="control-head">
+                <span>Мин. видимая высота Солнца в максимуме</span>
+                <strong>
+                  {searchFilters.minSunAltitude === null ? 'над горизонтом' : `${searchFilters.minSunAltitude}°`}
+                </strong>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="60"
+                step="1"
+                value={searchFilters.minSunAltitude ?? 0}
+                disabled={searchFilters.minSunAltitude === null}
+                onChange={(event) => updateSearchFilter('minSunAltitude', Number(event.target.value))}
+              />
+            </label>
+            <p className="metric-label">Затмение в этой точке</p>
+            <div className="play-buttons step-buttons">
+              <button
+                className="btn"
+                type="button"
+                disabled={search.status === 'running'}
+                onClick={() => runSearch('local', -1)}
+              >
+                ← Предыдущее
+              </button>
+              <button
+                className="btn"
+                type="button"
+                disabled={search.status === 'running'}
+                onClick={() => runSearch('local', 1)}
+              >
+                Следующее →
+              </button>
+            </div>
+            <p className="metric-label">Затмение на Земле</p>
+            <div className="play-buttons step-buttons">
+              <button
+                className="btn"
+                type="button"
+                disabled={search.status === 'running'}
+                onClick={() => runSearch('global', -1)}
+              >
+                ← Предыдущее
+              </button>
+              <button
+                className="btn"
+                type="button"
+                disabled={search.status === 'running'}
+                onClick={() => runSearch('global', 1)}
+              >
+                Следующее →
+              </button>
+            </div>
+            {search.status !== 'idle' && (
+              <div className="search-panel">
+                {search.status === 'running' && (
+                  <>
+                    <div className="control-head">
+                      <span>{`Поиск: ${formatDate(search.date, calendarSettings)}`}</span>
+                      <strong>{`${Math.round(search.fraction * 100)}%`}</strong>
+                    </div>
+                    <div className="search-progress">
+                      <span style={{ width: `${search.fraction * 100}%` }} />
+                    </div>
+                    <button className="btn" type="button" onClick={cancelSearch}>
+                      Отмена
+                    </button>
+                  </>
+                )}
+                {search.status === 'done' && search.result?.eclipse && (
+                  <>
+                    <p className="metric-value">
+                      {`${CATALOG_TYPE_LABELS[search.result.eclipse.type]}, ${formatUtc(search.result.eclipse.date, calendarSettings)}`}
+                    </p>
+                    <p className="metric-note">
+                      {`наибольшая фаза в ${formatLatLon(search.result.eclipse.lat, search.result.eclipse.lon)} · фаза ${search.result.eclipse.magnitude.toFixed(3)} · γ ${search.result.eclipse.gamma.toFixed(4)} · ${formatSaros(search.result)} · ${search.result.lunations} новолуний`}
+                    </p>
+                  </>
+                )}
+                {search.status === 'done' && search.result?.circumstances && (
+                  <>
+                    <p className="metric-value">
+                      {`${CATALOG_TYPE_LABELS[search.result.circumstances.type]}, ${formatUtc(search.result.circumstances.max.date, calendarSettings)}`}
+                    </p>
+                    <p className="metric-note">
+                      {`фаза ${search.result.circumstances.magnitude.toFixed(3)} · закрытие ${(search.result.circumstances.obscuration * 100).toFixed(1)}% · ☉ h ${search.result.circumstances.max.apparentSunAltitude.toFixed(1)}° · ${formatSaros(search.result)} · ${search.result.lunations} новолуний`}
+                    </p>
+                  </>
+                )}
+                {search.status === 'done' && !search.result && (
+                  <p className="metric-note">Затмение с такими условиями не найдено за 800 лет.</p>
+                )}
+                {search.status === 'cancelled' && <p className="metric-note">Поиск отменён.</p>}
+                {search.status === 'failed' && (
+                  <p className="metric-note">{`Ошибка поиска: ${search.message}`}</p>
+                )}
+                {search.status !== 'running' && (
+                  <button className="btn" type="button" onClick={() => setSearch({ status: 'idle' })}>
+                    Скрыть
+                  </button>
+                )}
+              </div>
+            )}
+            {visitedEclipses.length > 0 && (
+              <div className="catalog-wrap visited-wrap">
+                <table className="catalog-table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Дата</th>
+                      <th>Тип</th>
+                      <th>Где</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visitedEclipses.map((entry, index) => (
+                      <tr
+                        key={`${entry.scope}-${entry.date.getTime()}`}
+                        className={Math.abs(entry.date - simDate) < 3600000 ? 'active' : ''}
+                        onClick={() => visitEclipse(entry)}
+                      >
+                        <td>{index + 1}</td>
+                        <td>{formatUtc(entry.date, calendarSettings)}</td>
+                        <td>{CATALOG_TYPE_LABELS[entry.type]}</td>
+                        <td>{entry.scope === 'local' ? 'здесь' : 'Земля'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
 
             <label className="control-line">
               <div className="control-head">
@@ -283,17 +718,188 @@ export default function App() {
             <label className="control-line">
               <div className="control-head">
                 <span>Старт</span>
-                <strong>{formatDate(startDate)}</strong>
+                <strong>{formatDate(startDate, calendarSettings)}</strong>
               </div>
               <input
-                type="datetime-local"
-                value={toDateInputValue(startDate)}
-                onChange={(event) => {
-                  const date = new Date(event.target.value);
-                  if (!Number.isNaN(date.getTime())) setStartDate(date);
-                }}
+                key={formatDate(startDate, calendarSettings)}
+                type="text"
+                defaultValue={formatDate(startDate, calendarSettings)}
+                placeholder="ДД.ММ.ГГГГ [до н. э.], ЧЧ:ММ"
+                onKeyDown={handleDateKey}
+                onBlur={(event) => commitDateInput(event, calendarSettings, setStartDate, true)}
               />
             </label>
+            <div className="preset-row">
+              {CALENDAR_MODES.map((mode) => (
+                <button
+                  key={mode.key}
+                  type="button"
+                  className={`chip ${calendarSettings.calendar === mode.key ? 'active' : ''}`}
+                  onClick={() => setCalendarSettings((current) => ({ ...current, calendar: mode.key }))}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <div className="preset-row">
+              {YEAR_STYLES.map((style) => (
+                <button
+                  key={style.key}
+                  type="button"
+                  className={`chip ${calendarSettings.yearStyle === style.key ? 'active' : ''}`}
+                  onClick={() => setCalendarSettings((current) => ({ ...current, yearStyle: style.key }))}
+                >
+                  {style.label}
+                </button>
+              ))}
+            </div>
+          </section>
+
+          <section className="control-group">
+            <h3>Наибольшая фаза</h3>
+            {greatestEclipse ? (
+              <>
+                <div className="summary-grid">
+                  {[
+                    { key: 'date', label: 'Момент', value: formatUtc(greatestEclipse.date, calendarSettings) },
+                    {
+                      key: 'point',
+                      label: 'Точка',
+                      value: formatLatLon(greatestEclipse.lat, greatestEclipse.lon),
+                    },
+                    { key: 'type', label: 'Тип', value: greatestEclipse.eclipseClass },
+                    { key: 'gamma', label: 'γ', value: greatestEclipse.gamma.toFixed(4) },
+                    { key: 'magnitude', label: 'Фаза', value: greatestEclipse.magnitude.toFixed(4) },
+                    {
+                      key: 'saros',
+                      label: 'Сарос',
+                      value: `${greatestEclipse.saros} · № ${greatestSarosMember}`,
+                    },
+                    {
+                      key: 'duration',
+                      label: 'Длительность',
+                      value:
+                        greatestEclipse.centralDurationSec === null
+                          ? '—'
+                          : formatDuration(greatestEclipse.centralDurationSec),
+                    },
+                    {
+                      key: 'width',
+                      label: 'Ширина полосы',
+                      value: greatestEclipse.pathWidthKm === null ? '—' : formatKm(greatestEclipse.pathWidthKm),
+                    },
+                  ].map((item) => (
+                    <div key={item.key}>
+                      <p className="metric-label">{item.label}</p>
+                      <p className="metric-value">{item.value}</p>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  className="btn"
+                  type="button"
+                  style={{ width: '100%' }}
+                  onClick={() => jumpToEclipse(greatestEclipse)}
+                >
+                  К наибольшей фазе
+                </button>
+              </>
+            ) : (
+              <p className="metric-note">В это новолуние тень Луны проходит мимо Земли.</p>
+            )}
+          </section>
+
+          <section className="control-group">
+            <h3>Шкала времени ΔT</h3>
+            <label className="control-line">
+              <div className="control-head">
+                <span>Модель ΔT</span>
+                <strong>{`${liveState.deltaTSeconds.toFixed(1)} с`}</strong>
+              </div>
+              <select
+                value={params.deltaTModel}
+                onChange={(event) => updateField('deltaTModel', event.target.value)}
+              >
+                {DELTA_T_MODELS.map((item) => (
+                  <option key={item.key} value={item.key}>
+                    {item.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {params.deltaTModel === 'custom' && (
+              <label className="control-line">
+                <div className="control-head">
+                  <span>ΔT вручную, с</span>
+                </div>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={params.deltaTOverrideSec}
+                  onChange={(event) => {
+                    const value = Number(event.target.value);
+                    if (Number.isFinite(value)) updateField('deltaTOverrideSec', value);
+                  }}
+                />
+              </label>
+            )}
+          </section>
+
+          <section className="control-group">
+            <h3>Эфемериды</h3>
+            <div className="preset-row">
+              {EPHEMERIS_BACKENDS.map((backend) => (
+                <button
+                  key={backend.key}
+                  type="button"
+                  className={`chip ${params.ephemeris === backend.key ? 'active' : ''}`}
+                  onClick={() => updateField('ephemeris', backend.key)}
+                >
+                  {backend.label}
+                </button>
+              ))}
+            </div>
+            <table className="catalog-table accuracy-table">
+              <thead>
+                <tr>
+                  <th />
+                  <th>Лёгкая</th>
+                  <th>ELP/VSOP</th>
+                  <th>Δ</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ACCURACY_ROWS.map(({ key, label }) => {
+                  const row = model.ephemerisAccuracy[key];
+                  const isDistance = key === 'moonDistanceKm';
+                  const format = (value) => (isDistance ? `${value.toFixed(1)} км` : `${value.toFixed(4)}°`);
+                  return (
+                    <tr key={key}>
+                      <td>{label}</td>
+                      <td>{format(row.lite)}</td>
+                      <td>{format(row.precise)}</td>
+                      <td>{isDistance ? `${row.errorKm.toFixed(1)} км` : `${row.errorArcsec.toFixed(1)}″`}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+
+          <section className="control-group">
+            <h3>Редукции координат</h3>
+            {CORRECTION_TOGGLES.map((toggle) => (
+              <div className="toggle-line" key={toggle.key}>
+                <button
+                  type="button"
+                  className={`chip ${params[toggle.key] ? 'active' : ''}`}
+                  onClick={() => updateField(toggle.key, !params[toggle.key])}
+                >
+                  {toggle.label}
+                </button>
+                <p className="metric-note">{`сдвиг тени ${formatKm(model.correctionShiftsKm[toggle.id])}`}</p>
+              </div>
+            ))}
           </section>
 
           {CONTROL_GROUPS.map((group) => (
@@ -311,12 +917,158 @@ export default function App() {
                     max={field.max}
                     step={field.step}
                     value={params[field.key]}
+                    disabled={group.orbital && !orbitFollowsControls}
                     onChange={(event) => updateField(field.key, Number(event.target.value))}
                   />
                 </label>
               ))}
             </section>
           ))}
+
+          <section className="control-group">
+            <h3>Каталог затмений</h3>
+            <div className="range-row">
+              {['from', 'to'].map((edge) => (
+                <label className="control-line" key={edge}>
+                  <div className="control-head">
+                    <span>{edge === 'from' ? 'С' : 'По'}</span>
+                  </div>
+                  <input
+                    key={formatCalendarDate(catalogRange[edge], calendarSettings, { time: 'none' })}
+                    type="text"
+                    defaultValue={formatCalendarDate(catalogRange[edge], calendarSettings, { time: 'none' })}
+                    onKeyDown={handleDateKey}
+                    onBlur={(event) =>
+                      commitDateInput(event, calendarSettings, (date) =>
+                        setCatalogRange((current) => ({ ...current, [edge]: date })),
+                      )
+                    }
+                  />
+                </label>
+              ))}
+            </div>
+            {catalogSearch.status === 'running' ? (
+              <div className="search-panel">
+                <div className="search-progress">
+                  <span style={{ width: `${catalogSearch.fraction * 100}%` }} />
+                </div>
+                <button className="btn" type="button" onClick={cancelCatalogSearch}>
+                  Отмена
+                </button>
+              </div>
+            ) : (
+              <button className="btn" type="button" style={{ width: '100%' }} onClick={runCatalogSearch}>
+                Найти солнечные затмения
+              </button>
+            )}
+            {catalogSearch.status === 'failed' && (
+              <p className="metric-note">{`Ошибка поиска: ${catalogSearch.message}`}</p>
+            )}
+            {catalog.length > 0 && (
+              <div className="catalog-wrap">
+                <table className="catalog-table">
+                  <thead>
+                    <tr>
+                      {CATALOG_COLUMNS.map((column) => (
+                        <th key={column.key}>
+                          <button type="button" onClick={() => toggleCatalogSort(column.key)}>
+                            {column.label}
+                            {catalogSort.key === column.key && (catalogSort.direction > 0 ? ' ↑' : ' ↓')}
+                          </button>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sortedCatalog.map((entry) => (
+                      <tr
+                        key={entry.date.getTime()}
+                        onClick={() => jumpToEclipse(entry)}
+                      >
+                        <td>{formatUtc(entry.date, calendarSettings)}</td>
+                        <td>{CATALOG_TYPE_LABELS[entry.type]}</td>
+                        <td>{entry.gamma.toFixed(4)}</td>
+                        <td>{entry.magnitude.toFixed(3)}</td>
+                        <td>{`${entry.saros}/${entry.sarosMember}`}</td>
+                        <td>{formatLatLon(entry.lat, entry.lon)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+
+          <section className="control-group">
+            <h3>Серия сарос</h3>
+            <button
+              className="btn"
+              type="button"
+              style={{ width: '100%' }}
+              disabled={sarosLoading}
+              onClick={showSarosSeries}
+            >
+              {sarosLoading ? 'Поиск членов серии…' : 'Показать серию текущего затмения'}
+            </button>
+            {sarosSeries === null && (
+              <p className="metric-note">В это новолуние тень Луны проходит мимо Земли.</p>
+            )}
+            {sarosSeries && (
+              <>
+                <p className="metric-value">
+                  {`Сарос ${sarosSeries.saros}: ${sarosSeries.members.length} затмений, № ${sarosSeries.anchorMember}`}
+                </p>
+                <p className="metric-note">{sarosProgression}</p>
+                <div className="preset-row">
+                  {[
+                    { key: 'inexPrevious', label: 'Инекс ←' },
+                    { key: 'inexNext', label: 'Инекс →' },
+                  ].map(({ key, label }) => {
+                    const eclipse = sarosSeries[key];
+                    return (
+                      <button
+                        key={key}
+                        type="button"
+                        className="chip"
+                        disabled={!eclipse}
+                        onClick={() => jumpToEclipse(eclipse)}
+                      >
+                        {eclipse
+                          ? `${label} ${formatDate(eclipse.date, calendarSettings)} · сарос ${eclipse.saros}`
+                          : `${label} нет`}
+                      </button>
+                    );
+                  })}
+                </div>
+                <div className="catalog-wrap">
+                  <table className="catalog-table">
+                    <thead>
+                      <tr>
+                        <th>№</th>
+                        <th>Дата</th>
+                        <th>Тип</th>
+                        <th>γ</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sarosSeries.members.map((member) => (
+                        <tr
+                          key={member.lunation}
+                          className={member.sarosMember === sarosSeries.anchorMember ? 'active' : ''}
+                          onClick={() => jumpToEclipse(member)}
+                        >
+                          <td>{member.sarosMember}</td>
+                          <td>{formatUtc(member.date, calendarSettings)}</td>
+                          <td>{CATALOG_TYPE_LABELS[member.type]}</td>
+                          <td>{member.gamma.toFixed(4)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </section>
         </aside>
 
         <section className="panel stage-panel">
@@ -369,6 +1121,7 @@ export default function App() {
           <article key={metric.key} className="metric-card">
             <p className="metric-label">{metric.label}</p>
             <p className="metric-value">{metric.value}</p>
+            {metric.note && <p className="metric-note">{metric.note}</p>}
           </article>
         ))}
       </section>
@@ -376,6 +1129,18 @@ export default function App() {
   );
 }
 
+// Long eclipse scans (see eclipseSearch.worker.js); scope picks the search, the caller owns termination.
+function startSearchWorker(message, { onProgress, onResult, onError }) {
+  const worker = new Worker(new URL('./eclipseSearch.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') onProgress?.(data);
+    else onResult(data.result);
+  };
+  worker.onerror = (event) => onError(event.message);
+  worker.postMessage(message);
+  return worker;
+}
+
 function formatValue(value, unit) {
   if (unit === '') {
     if (Math.abs(value) < 1) return value.toFixed(3);
@@ -402,26 +1167,50 @@ function sliderToSpeed(sliderValue) {
   return Math.max(1, Math.round(10 ** value));
 }
 
-const clockFormatter = new Intl.DateTimeFormat('ru-RU', {
-  dateStyle: 'medium',
-  timeStyle: 'medium',
-});
+// Local clock of the browser's time zone for that date (before standard time zones this is local mean time).
+function localOffsetMinutes(date) {
+  return -date.getTimezoneOffset();
+}
+
+function formatClock(date, settings) {
+  return formatCalendarDate(date, settings, { offsetMinutes: localOffsetMinutes(date), time: 'seconds' });
+}
 
-const dateFormatter = new Intl.DateTimeFormat('ru-RU', {
-  dateStyle: 'medium',
-  timeStyle: 'short',
-});
+function formatUtc(date, settings) {
+  return `${formatCalendarDate(date, settings, { time: 'seconds' })} UTC`;
+}
+
+function formatDate(date, settings) {
+  return formatCalendarDate(date, settings, { offsetMinutes: localOffsetMinutes(date) });
+}
+
+function formatKm(km) {
+  return km < 10 ? `${km.toFixed(2)} км` : `${Math.round(km).toLocaleString('ru-RU')} км`;
+}
+
+function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)} мин ${String(rounded % 60).padStart(2, '0')} с`;
+}
+
+function formatSaros({ saros, sarosMember }) {
+  return saros === null ? 'сарос —' : `сарос ${saros}/${sarosMember}`;
+}
 
-function formatClock(date) {
-  return clockFormatter.format(date);
+function formatLatLon(lat, lon) {
+  return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
 }
 
-function formatDate(date) {
-  return dateFormatter.format(date);
+// Date fields are free text (BCE years, Julian dates): applied on Enter or blur, reverted when unparsable.
+function commitDateInput(event, settings, onDate, local) {
+  const text = event.target.value;
+  let date = parseCalendarDate(text, settings);
+  // The local offset depends on the instant itself, so it is taken from the UTC reading first.
+  if (date && local) date = parseCalendarDate(text, settings, { offsetMinutes: localOffsetMinutes(date) });
+  if (date) onDate(date);
+  else event.target.value = event.target.defaultValue;
 }
 
-function toDateInputValue(date) {
-  const timezoneOffset = date.getTimezoneOffset() * 60000;
-  const localDate = new Date(date.getTime() - timezoneOffset);
-  return localDate.toISOString().slice(0, 16);
+function handleDateKey(event) {
+  if (event.key === 'Enter') event.target.blur();
 }
@@ -0,0 +1,135 @@
+// Civil calendar dates <-> instants. Years are astronomical internally (1 BCE = 0, 2 BCE = -1), and
+// JavaScript Date is only used as a time scale (ms from 1970 UTC), so its proleptic Gregorian fields
+// are never read for display.
+
+export const CALENDAR_MODES = [
+  { key: 'auto', label: 'Юлианский до 1582' },
+  { key: 'gregorian', label: 'Григорианский' },
+  { key: 'julian', label: 'Юлианский' },
+];
+
+export const YEAR_STYLES = [
+  { key: 'era', label: 'до н. э.' },
+  { key: 'astronomical', label: 'Астрономический' },
+];
+
+export const DEFAULT_CALENDAR = { calendar: 'auto', yearStyle: 'era' };
+
+// 1582-10-15 00:00 (Gregorian) directly follows 1582-10-04 (Julian).
+const GREGORIAN_REFORM_JD = 2299160.5;
+const UNIX_EPOCH_JD = 2440587.5;
+const DAY_MS = 86400000;
+const ERA_SUFFIX = /\s*(до\s*н\.?\s*э\.?|bce|bc)\s*/i;
+
+export function julianDayFromDate(date) {
+  return date.getTime() / DAY_MS + UNIX_EPOCH_JD;
+}
+
+export function dateFromJulianDay(julianDay) {
+  return new Date((julianDay - UNIX_EPOCH_JD) * DAY_MS);
+}
+
+// Meeus, "Astronomical Algorithms", ch. 7; day may carry the fraction of the day.
+export function julianDayFromCalendar({ year, month, day, hours = 0, minutes = 0 }, calendar = 'auto') {
+  const gregorian =
+    calendar === 'gregorian' ||
+    (calendar === 'auto' && year * 10000 + month * 100 + day >= 15821015);
+  const y = month > 2 ? year : year - 1;
+  const m = month > 2 ? month : month + 12;
+  const century = Math.floor(y / 100);
+  const correction = gregorian ? 2 - century + Math.floor(century / 4) : 0;
+  return (
+    Math.floor(365.25 * (y + 4716)) +
+    Math.floor(30.6001 * (m + 1)) +
+    day +
+    correction -
+    1524.5 +
+    (hours + minutes / 60) / 24
+  );
+}
+
+export function calendarFromJulianDay(julianDay, calendar = 'auto') {
+  const gregorian = calendar === 'gregorian' || (calendar === 'auto' && julianDay >= GREGORIAN_REFORM_JD);
+  const z = Math.floor(julianDay + 0.5);
+  const fraction = julianDay + 0.5 - z;
+  let a = z;
+  if (gregorian) {
+    const alpha = Math.floor((z - 1867216.25) / 36524.25);
+    a = z + 1 + alpha - Math.floor(alpha / 4);
+  }
+  const b = a + 1524;
+  const c = Math.floor((b - 122.1) / 365.25);
+  const d = Math.floor(365.25 * c);
+  const e = Math.floor((b - d) / 30.6001);
+  const month = e < 14 ? e - 1 : e - 13;
+  const seconds = Math.round(fraction * 86400);
+
+  return {
+    year: month > 2 ? c - 4716 : c - 4715,
+    month,
+    day: b - d - Math.floor(30.6001 * e),
+    hours: Math.floor(seconds / 3600),
+    minutes: Math.floor(seconds / 60) % 60,
+    seconds: seconds % 60,
+    julian: !gregorian,
+  };
+}
+
+// offsetMinutes shifts UTC to a local clock (minutes east of Greenwich).
+export function formatCalendarDate(date, settings = DEFAULT_CALENDAR, options = {}) {
+  const { offsetMinutes = 0, time = 'minutes' } = options;
+  // Whole seconds first, so 23:59:59.6 does not become 24:00:00 of the same day.
+  const julianDay = Math.round(julianDayFromDate(date) * 86400 + offsetMinutes * 60) / 86400;
+  const fields = calendarFromJulianDay(julianDay, settings.calendar);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  let text = `${pad(fields.day)}.${pad(fields.month)}.${formatYear(fields.year, settings.yearStyle)}`;
+  // Only the automatic mode mixes calendars, so only there a Julian date needs a mark.
+  if (settings.calendar === 'auto' && fields.julian) text += ' (ю. ст.)';
+  if (time !== 'none') {
+    text += `, ${pad(fields.hours)}:${pad(fields.minutes)}`;
+    if (time === 'seconds') text += `:${pad(fields.seconds)}`;
+  }
+  return text;
+}
+
+export function formatYear(year, yearStyle = 'era') {
+  if (yearStyle === 'astronomical') return year < 0 ? `−${-year}` : String(year);
+  return year > 0 ? String(year) : `${1 - year} до н. э.`;
+}
+
+// Accepts what formatCalendarDate prints, "ДД.ММ.ГГГГ [до н. э.][, ЧЧ:ММ]" (the year read in the
+// current year style), and "±ГГГГ-ММ-ДД [ЧЧ:ММ]" with astronomical years. Returns null for text
+// that is not a real date in the calendar.
+export function parseCalendarDate(text, settings = DEFAULT_CALENDAR, options = {}) {
+  const { offsetMinutes = 0 } = options;
+  let source = text.trim().replace(/[−–]/g, '-').replace(',', ' ').replace('(ю. ст.)', '').trim();
+  const bce = ERA_SUFFIX.test(source);
+  source = source.replace(ERA_SUFFIX, ' ').trim();
+
+  const iso = source.match(/^(-?\d{1,6})-(\d{1,2})-(\d{1,2})(?:[ T]+(\d{1,2}):(\d{2}))?$/);
+  const dotted = source.match(/^(\d{1,2})\.(\d{1,2})\.(-?\d{1,6})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  const match = iso ?? dotted;
+  if (!match || (iso && bce)) return null;
+
+  let year;
+  let month;
+  let day;
+  if (iso) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    [day, month, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    if (bce || settings.yearStyle !== 'astronomical') {
+      if (year < 1) return null;
+      if (bce) year = 1 - year;
+    }
+  }
+  const fields = { year, month, day, hours: Number(match[4] ?? 0), minutes: Number(match[5] ?? 0) };
+  if (fields.hours > 23 || fields.minutes > 59) return null;
+
+  // Invalid days (31.04, 29.02 of a common year, 10.10.1582 in the automatic mode) do not round-trip.
+  const julianDay = julianDayFromCalendar(fields, settings.calendar);
+  const check = calendarFromJulianDay(julianDay, settings.calendar);
+  if (check.year !== year || check.month !== month || check.day !== day) return null;
+  return dateFromJulianDay(julianDay - offsetMinutes / 1440);
+}
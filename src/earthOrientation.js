@@ -0,0 +1,60 @@
+// Corrections between the mean ecliptic of date and the true, apparent frame; t in Julian centuries TT.
+const DEG = Math.PI / 180;
+const AU_KM = 149597870.7;
+const ABERRATION_ARCSEC_AT_1_AU = 20.4898;
+
+// Largest IAU 1980 nutation terms (Meeus, table 22.A): [D, M, M', F, Ω, ψ, ψ·T, ε, ε·T] in 0.0001″.
+const NUTATION_TERMS = [
+  [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+  [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+  [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+  [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+  [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+  [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+  [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+  [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+  [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+  [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+  [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+  [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+  [0, 0, -1, 2, 2, 123, 0, -53, 0],
+  [2, 0, 0, 0, 0, 63, 0, 0, 0],
+  [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+  [2, 0, -1, 2, 2, -59, 0, 26, 0],
+  [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+  [0, 0, 1, 2, 1, -51, 0, 27, 0],
+];
+
+export function nutation(t) {
+  const args = [
+    297.85036 + 445267.11148 * t - 0.0019142 * t * t + (t * t * t) / 189474,
+    357.52772 + 35999.05034 * t - 0.0001603 * t * t - (t * t * t) / 300000,
+    134.96298 + 477198.867398 * t + 0.0086972 * t * t + (t * t * t) / 56250,
+    93.27191 + 483202.017538 * t - 0.0036825 * t * t + (t * t * t) / 327270,
+    125.04452 - 1934.136261 * t + 0.0020708 * t * t + (t * t * t) / 450000,
+  ];
+
+  let psi = 0;
+  let epsilon = 0;
+  NUTATION_TERMS.forEach(([d, m, mPrime, f, omega, psi0, psi1, eps0, eps1]) => {
+    const argument =
+      (d * args[0] + m * args[1] + mPrime * args[2] + f * args[3] + omega * args[4]) * DEG;
+    psi += (psi0 + psi1 * t) * Math.sin(argument);
+    epsilon += (eps0 + eps1 * t) * Math.cos(argument);
+  });
+
+  return {
+    longitudeDeg: psi / 36000000,
+    obliquityDeg: epsilon / 36000000,
+  };
+}
+
+// Accumulated general precession in longitude since J2000 (IAU 1976).
+export function generalPrecessionDeg(t) {
+  return (5029.0966 * t + 1.11113 * t * t - 0.000006 * t * t * t) / 3600;
+}
+
+// The Sun appears displaced backwards along the ecliptic by κ/R.
+export function solarAberrationDeg(sunDistanceKm) {
+  return -ABERRATION_ARCSEC_AT_1_AU / 3600 / (sunDistanceKm / AU_KM);
+}
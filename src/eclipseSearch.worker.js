@@ -0,0 +1,22 @@
+import {
+  findNextGlobalEclipse,
+  findNextLocalEclipse,
+  findSarosSeries,
+  findSolarEclipses,
+} from './simulation.js';
+
+// Eclipse searches scan up to thousands of lunations, so they run here instead of the UI thread.
+self.onmessage = ({ data }) => {
+  const { scope, base, fromHours, toHours, startDate, filters } = data;
+  const onProgress = (progress) => self.postMessage({ type: 'progress', ...progress });
+  let result;
+  if (scope === 'catalog') {
+    result = findSolarEclipses(base, fromHours, toHours, startDate, { onProgress });
+  } else if (scope === 'saros') {
+    result = findSarosSeries(base, fromHours, startDate);
+  } else {
+    const search = scope === 'global' ? findNextGlobalEclipse : findNextLocalEclipse;
+    result = search(base, fromHours, startDate, { ...filters, onProgress });
+  }
+  self.postMessage({ type: 'result', result });
+};
@@ -0,0 +1,245 @@
+import {
+  ELP2000_LATITUDE,
+  ELP2000_LONGITUDE_DISTANCE,
+  VSOP87_EARTH_B,
+  VSOP87_EARTH_L,
+  VSOP87_EARTH_R,
+} from './ephemerisData.js';
+
+// Geocentric ecliptic positions (mean equinox of date) of the Sun and Moon; t in Julian centuries TT.
+const DEG = Math.PI / 180;
+const RAD = 180 / Math.PI;
+const AU_KM = 149597870.7;
+
+export const EPHEMERIS_BACKENDS = [
+  { key: 'lite', label: 'Лёгкая (ползунки)', drivenByControls: true, sun: liteSun, moon: liteMoon },
+  { key: 'precise', label: 'ELP2000 / VSOP87', sun: preciseSun, moon: preciseMoon },
+];
+
+export const DEFAULT_EPHEMERIS = 'lite';
+
+export function getEphemeris(key) {
+  return EPHEMERIS_BACKENDS.find((backend) => backend.key === key) ?? EPHEMERIS_BACKENDS[0];
+}
+
+function liteSun(t) {
+  const l0 = normalize360(280.46646 + 36000.76983 * t + 0.0003032 * t * t);
+  const meanAnomalyDeg = normalize360(
+    357.52911 + 35999.05029 * t - 0.0001537 * t * t + (t * t * t) / 24490000,
+  );
+  const meanAnomaly = meanAnomalyDeg * DEG;
+
+  const equationOfCenter =
+    (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(meanAnomaly) +
+    (0.019993 - 0.000101 * t) * Math.sin(2 * meanAnomaly) +
+    0.000289 * Math.sin(3 * meanAnomaly);
+
+  const lonDeg = normalize360(l0 + equationOfCenter);
+  const distanceAu =
+    1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly);
+
+  return {
+    lonDeg,
+    latDeg: 0,
+    distanceAu,
+    distanceKm: distanceAu * AU_KM,
+    meanAnomalyDeg,
+  };
+}
+
+function liteMoon(t) {
+  const args = lunarArguments(t);
+  const d = args.meanElongationDeg * DEG;
+  const m = args.sunAnomalyDeg * DEG;
+  const mPrime = args.meanAnomalyDeg * DEG;
+  const f = args.argumentOfLatitudeDeg * DEG;
+  const e = args.eccentricityFactor;
+
+  const lonDeg =
+    args.meanLonDeg +
+    6.289 * Math.sin(mPrime) +
+    1.274 * Math.sin(2 * d - mPrime) +
+    0.658 * Math.sin(2 * d) +
+    0.214 * Math.sin(2 * mPrime) -
+    0.186 * e * Math.sin(m) -
+    0.114 * Math.sin(2 * f) -
+    0.059 * Math.sin(2 * d - 2 * mPrime) -
+    0.057 * e * Math.sin(2 * d - m - mPrime) +
+    0.053 * Math.sin(2 * d + mPrime) +
+    0.046 * e * Math.sin(2 * d - m) +
+    0.041 * e * Math.sin(m - mPrime) -
+    0.035 * Math.sin(d) -
+    0.031 * e * Math.sin(m + mPrime) -
+    0.015 * Math.sin(2 * f - 2 * d) +
+    0.011 * Math.sin(2 * d - mPrime - 2 * f);
+
+  const latDeg =
+    5.128 * Math.sin(f) +
+    0.280 * Math.sin(mPrime + f) +
+    0.277 * Math.sin(mPrime - f) +
+    0.173 * Math.sin(2 * d - f) +
+    0.055 * Math.sin(2 * d - mPrime + f) +
+    0.046 * Math.sin(2 * d - mPrime - f) +
+    0.033 * Math.sin(2 * d + f) +
+    0.017 * Math.sin(2 * mPrime + f) +
+    0.009 * Math.sin(2 * d + mPrime - f) +
+    0.009 * e * Math.sin(2 * d - m + f) +
+    0.008 * e * Math.sin(2 * d - m - f);
+
+  const distanceKm =
+    385000.56 -
+    20905 * Math.cos(mPrime) -
+    3699 * Math.cos(2 * d - mPrime) -
+    2956 * Math.cos(2 * d) -
+    570 * Math.cos(2 * mPrime) +
+    246 * Math.cos(2 * mPrime - 2 * d) -
+    205 * e * Math.cos(m - 2 * d) -
+    171 * Math.cos(mPrime + 2 * d) -
+    152 * e * Math.cos(mPrime + m - 2 * d) -
+    129 * Math.cos(mPrime - 2 * d);
+
+  return {
+    lonDeg: normalize360(lonDeg),
+    latDeg: Math.max(-8.5, Math.min(8.5, latDeg)),
+    distanceKm,
+    meanAnomalyDeg: args.meanAnomalyDeg,
+    nodeLonDeg: args.nodeLonDeg,
+  };
+}
+
+function preciseSun(t) {
+  const tau = t / 10;
+  const earthLon = sumVsopSeries(VSOP87_EARTH_L, tau) * RAD;
+  const earthLat = sumVsopSeries(VSOP87_EARTH_B, tau) * RAD;
+  const distanceAu = sumVsopSeries(VSOP87_EARTH_R, tau);
+
+  // Geocentric Sun is opposite the heliocentric Earth; then the VSOP -> FK5 frame correction.
+  const geometricLon = earthLon + 180;
+  const latDeg = -earthLat;
+  const shifted = (geometricLon - 1.397 * t - 0.00031 * t * t) * DEG;
+  const lonDeg =
+    geometricLon +
+    (-0.09033 + 0.03916 * (Math.cos(shifted) + Math.sin(shifted)) * Math.tan(latDeg * DEG)) / 3600;
+
+  return {
+    lonDeg: normalize360(lonDeg),
+    latDeg: latDeg + (0.03916 * (Math.cos(shifted) - Math.sin(shifted))) / 3600,
+    distanceAu,
+    distanceKm: distanceAu * AU_KM,
+    meanAnomalyDeg: lunarArguments(t).sunAnomalyDeg,
+  };
+}
+
+function preciseMoon(t) {
+  const args = lunarArguments(t);
+  const e = args.eccentricityFactor;
+  const a1 = (119.75 + 131.849 * t) * DEG;
+  const a2 = (53.09 + 479264.29 * t) * DEG;
+  const a3 = (313.45 + 481266.484 * t) * DEG;
+  const meanLon = args.meanLonDeg * DEG;
+  const mPrime = args.meanAnomalyDeg * DEG;
+  const f = args.argumentOfLatitudeDeg * DEG;
+
+  let sumLon = 0;
+  let sumDistance = 0;
+  ELP2000_LONGITUDE_DISTANCE.forEach(([d, m, mp, ff, lonCoefficient, distanceCoefficient]) => {
+    const argument = lunarTermArgument(args, d, m, mp, ff);
+    const factor = e ** Math.abs(m);
+    sumLon += lonCoefficient * factor * Math.sin(argument);
+    sumDistance += distanceCoefficient * factor * Math.cos(argument);
+  });
+  let sumLat = 0;
+  ELP2000_LATITUDE.forEach(([d, m, mp, ff, latCoefficient]) => {
+    sumLat += latCoefficient * e ** Math.abs(m) * Math.sin(lunarTermArgument(args, d, m, mp, ff));
+  });
+
+  // Venus, Jupiter and Earth-flattening perturbations.
+  sumLon += 3958 * Math.sin(a1) + 1962 * Math.sin(meanLon - f) + 318 * Math.sin(a2);
+  sumLat +=
+    -2235 * Math.sin(meanLon) +
+    382 * Math.sin(a3) +
+    175 * Math.sin(a1 - f) +
+    175 * Math.sin(a1 + f) +
+    127 * Math.sin(meanLon - mPrime) -
+    115 * Math.sin(meanLon + mPrime);
+
+  return {
+    lonDeg: normalize360(args.meanLonDeg + sumLon / 1e6),
+    latDeg: sumLat / 1e6,
+    distanceKm: 385000.56 + sumDistance / 1000,
+    meanAnomalyDeg: args.meanAnomalyDeg,
+    nodeLonDeg: args.nodeLonDeg,
+  };
+}
+
+function lunarArguments(t) {
+  const meanLonDeg = normalize360(
+    218.3164477 +
+      481267.88123421 * t -
+      0.0015786 * t * t +
+      (t * t * t) / 538841 -
+      (t * t * t * t) / 65194000,
+  );
+  const meanElongationDeg = normalize360(
+    297.8501921 +
+      445267.1114034 * t -
+      0.0018819 * t * t +
+      (t * t * t) / 545868 -
+      (t * t * t * t) / 113065000,
+  );
+  const sunAnomalyDeg = normalize360(
+    357.5291092 + 35999.0502909 * t - 0.0001536 * t * t + (t * t * t) / 24490000,
+  );
+  const meanAnomalyDeg = normalize360(
+    134.9633964 +
+      477198.8675055 * t +
+      0.0087414 * t * t +
+      (t * t * t) / 69699 -
+      (t * t * t * t) / 14712000,
+  );
+  const argumentOfLatitudeDeg = normalize360(
+    93.2720950 +
+      483202.0175233 * t -
+      0.0036539 * t * t -
+      (t * t * t) / 3526000 +
+      (t * t * t * t) / 863310000,
+  );
+  const nodeLonDeg = normalize360(
+    125.04452 -
+      1934.136261 * t +
+      0.0020708 * t * t +
+      (t * t * t) / 450000,
+  );
+
+  return {
+    meanLonDeg,
+    meanElongationDeg,
+    sunAnomalyDeg,
+    meanAnomalyDeg,
+    argumentOfLatitudeDeg,
+    nodeLonDeg,
+    eccentricityFactor: 1 - 0.002516 * t - 0.0000074 * t * t,
+  };
+}
+
+function lunarTermArgument(args, d, m, mPrime, f) {
+  return (
+    (d * args.meanElongationDeg +
+      m * args.sunAnomalyDeg +
+      mPrime * args.meanAnomalyDeg +
+      f * args.argumentOfLatitudeDeg) *
+    DEG
+  );
+}
+
+function sumVsopSeries(series, tau) {
+  return series.reduce((total, terms, power) => {
+    const sum = terms.reduce((acc, [a, b, c]) => acc + a * Math.cos(b + c * tau), 0);
+    return total + sum * tau ** power;
+  }, 0) / 1e8;
+}
+
+function normalize360(angle) {
+  const value = angle % 360;
+  return value < 0 ? value + 360 : value;
+}
@@ -1,24 +1,71 @@
+import { generalPrecessionDeg, nutation, solarAberrationDeg } from './earthOrientation.js';
+import { DEFAULT_EPHEMERIS, getEphemeris } from './ephemeris.js';
+import {
+  DEFAULT_DELTA_T_MODEL,
+  DEFAULT_DELTA_T_OVERRIDE_SEC,
+  deltaTSeconds,
+} from './timeScales.js';
+
 export const DEG = Math.PI / 180;
 export const RAD = 180 / Math.PI;
 
-const AU_KM = 149597870.7;
-const EARTH_RADIUS_KM = 6371.0;
+// WGS84 ellipsoid; Besselian elements use the equatorial radius as the unit of length.
+const WGS84_A_KM = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B_KM = WGS84_A_KM * (1 - WGS84_F);
+// Mean radius, only for turning angular footprint radii into kilometres.
+const EARTH_MEAN_RADIUS_KM = 6371.0;
 const SUN_RADIUS_KM = 695700.0;
 const MOON_RADIUS_KM = 1737.4;
 const MOON_PERIGEE_KM = 363300;
 const MOON_APOGEE_KM = 405500;
 const LUNAR_INCLINATION_DEG = 5.145;
-const EARTH_ROT_DEG_PER_HOUR = 15.041067;
 const SUN_ECLIPTIC_DEG_PER_HOUR = 360 / (365.2422 * 24);
 const MOON_ECLIPTIC_DEG_PER_HOUR = 13.176358 / 24;
 const MOON_ANOMALY_DEG_PER_HOUR = 0.549;
 const NODE_REGRESSION_DEG_PER_HOUR = -(360 / (18.613 * 365.2422 * 24));
+const SYNODIC_MONTH_HOURS = 29.530589 * 24;
+const NEW_MOON_TOLERANCE_HOURS = 0.1 / 3600;
+const NEW_MOON_MAX_ITERATIONS = 12;
+const LUNATION_EPOCH_JD = 2451550.09766;
+// 223 synodic months ≈ 242 draconic months (Saros); 358 ≈ 388.5 (Inex, node on the opposite side).
+const SAROS_LUNATIONS = 223;
+const INEX_LUNATIONS = 358;
+const SAROS_INVERSE_MOD_INEX = 297; // 223 · 297 ≡ 1 (mod 358)
+// New moon of 2024-04-08 is lunation 300 (counted from 2000-01-06): Saros 139, member 30.
+const SAROS_REFERENCE = { lunation: 300, saros: 139, member: 30 };
+const SAROS_MAX_MEMBERS = 100;
+const SEARCH_LUNATIONS = 10000; // ~800 years
+const SEARCH_DEFAULTS = { type: 'any', minObscuration: 0, minSunAltitude: null, direction: 1 };
+const SEARCH_PROGRESS_EVERY = 50;
+const EARTH_SHADOW_ENLARGEMENT = 1.02;
+const ECLIPSE_CACHE_SIZE = 6;
+const ISOLINE_LEVELS = [0.2, 0.4, 0.6, 0.8];
+const ISOLINE_GRID_STEP_DEG = 2;
+// Controls that change the eclipse geometry; observer fields only matter for local quantities.
+const ECLIPSE_KEY_FIELDS = ['sunEclipticLon', 'ascendingNodeLon', 'moonNodePhase', 'moonDistanceMode'];
+const ECLIPSE_CACHE = new Map();
+
+export const ECLIPSE_TYPE_LABELS = {
+  total: 'Полное солнечное затмение',
+  annular: 'Кольцеобразное солнечное затмение',
+  partial: 'Частное солнечное затмение',
+  hybrid: 'Гибридное солнечное затмение',
+  none: 'Нет солнечного затмения',
+};
+
+export const CORRECTION_TOGGLES = [
+  { key: 'usePrecession', id: 'precession', label: 'Прецессия' },
+  { key: 'useNutation', id: 'nutation', label: 'Нутация и истинное звёздное время' },
+  { key: 'useAberration', id: 'aberration', label: 'Аберрация Солнца' },
+];
 
 export const INITIAL_PARAMS = getRealParameters(new Date());
 
 export const CONTROL_GROUPS = [
   {
     title: 'Абсолютные орбитальные параметры',
+    orbital: true,
     fields: [
       {
         key: 'ascendingNodeLon',
@@ -67,18 +114,30 @@ export const CONTROL_GROUPS = [
     fields: [
       { key: 'observerLat', label: 'Широта', min: -90, max: 90, step: 0.5, unit: '°' },
       { key: 'observerLon', label: 'Долгота', min: -180, max: 180, step: 0.5, unit: '°' },
+      { key: 'observerElevation', label: 'Высота над уровнем моря', min: 0, max: 12000, step: 10, unit: ' м' },
       { key: 'observerTilt', label: 'Наклон глобуса', min: 0, max: 65, step: 1, unit: '°' },
       { key: 'earthRotation', label: 'Поворот Земли', min: 0, max: 360, step: 0.5, unit: '°' },
     ],
   },
+  {
+    title: 'Атмосфера',
+    fields: [
+      { key: 'pressureHpa', label: 'Давление', min: 150, max: 1090, step: 1, unit: ' гПа' },
+      { key: 'temperatureC', label: 'Температура', min: -50, max: 50, step: 1, unit: '°C' },
+    ],
+  },
 ];
 
-export function getRealParameters(date = new Date()) {
+export function getRealParameters(date = new Date(), options = {}) {
+  const deltaTModel = options.deltaTModel ?? DEFAULT_DELTA_T_MODEL;
+  const deltaTOverrideSec = options.deltaTOverrideSec ?? DEFAULT_DELTA_T_OVERRIDE_SEC;
+  const ephemeris = getEphemeris(options.ephemeris ?? DEFAULT_EPHEMERIS);
   const julianDay = toJulianDate(date);
-  const t = julianCenturies(julianDay);
+  const deltaT = deltaTSeconds(julianDay, deltaTModel, deltaTOverrideSec);
+  const t = julianCenturies(julianDay + deltaT / 86400);
   const gmst = greenwichSiderealDeg(julianDay);
-  const sun = sunEclipticCoordinates(t);
-  const moon = moonEclipticCoordinates(t);
+  const sun = ephemeris.sun(t);
+  const moon = ephemeris.moon(t);
   const ascendingNodeLon = normalize360(moon.nodeLonDeg);
   const moonNodePhase = normalize180(moon.lonDeg - ascendingNodeLon);
   const moonDistanceMode = clamp(
@@ -95,8 +154,17 @@ export function getRealParameters(date = new Date()) {
     moonAnomaly: normalize360(moon.meanAnomalyDeg),
     observerLat: 55,
     observerLon: 37,
+    observerElevation: 0,
+    pressureHpa: 1010,
+    temperatureC: 10,
+    usePrecession: true,
+    useNutation: true,
+    useAberration: true,
     observerTilt: 18,
     earthRotation: gmst,
+    deltaTModel,
+    deltaTOverrideSec,
+    ephemeris: ephemeris.key,
   };
 }
 
@@ -104,20 +172,27 @@ export function deriveSimulationState(base, simHours, startDate = new Date()) {
   const date = new Date(startDate.getTime() + simHours * 3600000);
   const julianDay = toJulianDate(date);
   const gmst = greenwichSiderealDeg(julianDay);
-  const earthRotation = normalize360(base.earthRotation + simHours * EARTH_ROT_DEG_PER_HOUR);
-  const sunEclipticLon = normalize360(base.sunEclipticLon + simHours * SUN_ECLIPTIC_DEG_PER_HOUR);
-  const ascendingNodeLon = normalize360(base.ascendingNodeLon + simHours * NODE_REGRESSION_DEG_PER_HOUR);
+  const deltaT = deltaTSeconds(julianDay, base.deltaTModel, base.deltaTOverrideSec);
+  const startDeltaT = deltaTSeconds(toJulianDate(startDate), base.deltaTModel, base.deltaTOverrideSec);
+  // Orbits advance in dynamical time, the Earth's rotation in UT.
+  const orbitalHours = simHours + (deltaT - startDeltaT) / 3600;
+  // The control's offset from sidereal time is kept, so far-off dates get the true GMST, not a linear rate.
+  const earthRotation = normalize360(base.earthRotation - greenwichSiderealDeg(toJulianDate(startDate)) + gmst);
+  const sunEclipticLon = normalize360(base.sunEclipticLon + orbitalHours * SUN_ECLIPTIC_DEG_PER_HOUR);
+  const ascendingNodeLon = normalize360(base.ascendingNodeLon + orbitalHours * NODE_REGRESSION_DEG_PER_HOUR);
   const moonNodePhase = normalize180(
-    base.moonNodePhase + simHours * (MOON_ECLIPTIC_DEG_PER_HOUR - NODE_REGRESSION_DEG_PER_HOUR),
+    base.moonNodePhase + orbitalHours * (MOON_ECLIPTIC_DEG_PER_HOUR - NODE_REGRESSION_DEG_PER_HOUR),
   );
   const moonEclipticLon = normalize360(ascendingNodeLon + moonNodePhase);
-  const moonAnomaly = normalize360(base.moonAnomaly + simHours * MOON_ANOMALY_DEG_PER_HOUR);
+  const moonAnomaly = normalize360(base.moonAnomaly + orbitalHours * MOON_ANOMALY_DEG_PER_HOUR);
 
   return {
     ...base,
     simHours,
     date,
     julianDay,
+    julianDayTT: julianDay + deltaT / 86400,
+    deltaTSeconds: deltaT,
     gmst,
     earthRotation,
     sunEclipticLon,
@@ -132,8 +207,11 @@ export function deriveSimulationState(base, simHours, startDate = new Date()) {
 export function deriveModel(state) {
   const rotationOffsetDeg = normalize180(state.earthRotation - state.gmst);
   const astro = computeAstronomy(state.julianDay, state, rotationOffsetDeg);
-  const track = buildGroundTrack(state.julianDay, state, rotationOffsetDeg);
-  const observerToShadowKm = greatCircleDistanceKm(
+  const lunarTrack = buildLunarTrack(state.julianDay, state, rotationOffsetDeg);
+  const eclipse = eclipseProductsFor(state, rotationOffsetDeg);
+  const besselian = besselianFromGeometry(astro.geometry.equatorial, astro.gmstDeg);
+  const instantEclipseClass = centralPhaseClass(besselian) ?? astro.eclipseClass;
+  const observerToShadowKm = geodesicDistanceKm(
     state.observerLat,
     state.observerLon,
     astro.centralLat,
@@ -143,129 +221,1177 @@ export function deriveModel(state) {
   return {
     ...state,
     ...astro,
-    track,
+    track: eclipse.groundTrack,
+    lunarTrack,
+    pathLimits: eclipse.pathLimits,
+    riseSetCurves: eclipse.riseSetCurves,
+    isolines: eclipse.isolines,
+    centralLine: eclipse.centralLine,
+    // A hybrid eclipse keeps its class while the central phase flips between total and annular.
+    instantEclipseClass,
+    eclipseClass:
+      eclipse.centralLine.hybrid &&
+      [ECLIPSE_TYPE_LABELS.total, ECLIPSE_TYPE_LABELS.annular].includes(instantEclipseClass)
+        ? ECLIPSE_TYPE_LABELS.hybrid
+        : instantEclipseClass,
     observerToShadowKm,
     shadowRadiusDeg: astro.penumbraRadiusDeg,
+    besselian,
+    shadowFootprint: {
+      umbra: shadowFootprintOutline(besselian, true),
+      penumbra: shadowFootprintOutline(besselian, false),
+    },
+    ephemerisAccuracy: compareEphemerides(state),
+    correctionShiftsKm: correctionShifts(state, rotationOffsetDeg, astro),
+    shadowVelocity: shadowGroundVelocity(state, rotationOffsetDeg),
   };
 }
 
-export function findNextLocalEclipse(base, currentSimHours, startDate) {
-  let t = currentSimHours + 24; // Step forward a bit to avoid finding the current eclipse
+// Phase on the central line from the sign of L2 where the shadow axis meets the surface (as in
+// centralLineTypes); null while the axis misses the Earth.
+function centralPhaseClass(besselian) {
+  const zeta = fundamentalZeta(besselian.x, besselian.y, besselian.d);
+  if (zeta === null) return null;
+  return besselian.l2 - zeta * besselian.tanF2 < 0 ? ECLIPSE_TYPE_LABELS.total : ECLIPSE_TYPE_LABELS.annular;
+}
+
+// Central difference of the shadow-axis ground point over ±1 minute; null while the axis misses the Earth.
+function shadowGroundVelocity(state, rotationOffsetDeg) {
+  const halfStepHours = 1 / 60;
+  const at = (hours) =>
+    computeAstronomy(state.julianDay + hours / 24, advanceControls(state, hours), rotationOffsetDeg);
+  const before = at(-halfStepHours);
+  const after = at(halfStepHours);
+  if (!before.axisHitsEarth || !after.axisHitsEarth) return null;
+
+  const azimuthDeg = initialBearingDeg(
+    before.centralLat,
+    before.centralLon,
+    after.centralLat,
+    after.centralLon,
+  );
+  const distanceKm = geodesicDistanceKm(
+    before.centralLat,
+    before.centralLon,
+    after.centralLat,
+    after.centralLon,
+  );
+  return {
+    speedKmS: distanceKm / (2 * halfStepHours * 3600),
+    azimuthDeg,
+  };
+}
 
-  for (let i = 0; i < 10000; i++) { // search up to ~800 years
-    let state = deriveSimulationState(base, t, startDate);
-    let rotationOffsetDeg = normalize180(state.earthRotation - state.gmst);
-    let astro = computeAstronomy(state.julianDay, state, rotationOffsetDeg);
+// Steps through new moons (forwards or backwards) until an eclipse seen from the observer passes the
+// filters. The Sun altitude filter compares the refracted altitude at maximum; without it any phase
+// above the horizon counts as visible. Long scans report progress through options.onProgress (used
+// by the search worker).
+export function findNextLocalEclipse(base, currentSimHours, startDate, options = {}) {
+  const filters = { ...SEARCH_DEFAULTS, ...options };
+  const direction = filters.direction < 0 ? -1 : 1;
+  // Same rule as the horizon view: the refracted upper limb clears the dipped horizon.
+  const dipDeg = horizonDipDeg(base.observerElevation);
+  const isUp = (phase) => {
+    if (!phase) return false;
+    const upperLimb = phase.sunAltitude + phase.sunRadiusDeg;
+    return upperLimb + atmosphericRefractionDeg(upperLimb, base.pressureHpa, base.temperatureC) > -dipDeg;
+  };
+  const passes = (local) => {
+    if (filters.type !== 'any' && local.type !== filters.type) return false;
+    if (local.obscuration < filters.minObscuration) return false;
+    if (filters.minSunAltitude !== null) return local.max.apparentSunAltitude >= filters.minSunAltitude;
+    return ['c1', 'c2', 'max', 'c3', 'c4'].some((key) => isUp(local[key]));
+  };
 
-    // Find the next new moon
-    let phase = astro.moonToSun; // -180 to 180
-    if (phase < 0) phase += 360; // 0 to 360
+  // Step a day away first so the eclipse in progress is not found again.
+  const scan = { direction, onProgress: filters.onProgress };
+  return scanNewMoons(base, currentSimHours + direction * 24, startDate, scan, (newMoonHours) => {
+    const local = computeLocalCircumstances(base, newMoonHours, startDate);
+    if (!local || !passes(local)) return null;
+    return { simHours: local.max.simHours, circumstances: local, ...sarosOf(base, newMoonHours, startDate) };
+  });
+}
 
-    // Hours until next new moon
-    let hoursToNewMoon = (360 - phase) / (MOON_ECLIPTIC_DEG_PER_HOUR - SUN_ECLIPTIC_DEG_PER_HOUR);
-    t += hoursToNewMoon;
+// Same scan for the first eclipse of the requested type anywhere on Earth; the observer is ignored and
+// the result is the greatest eclipse with its point. A hybrid eclipse has both total and annular parts.
+export function findNextGlobalEclipse(base, currentSimHours, startDate, options = {}) {
+  const filters = { ...SEARCH_DEFAULTS, ...options };
+  const direction = filters.direction < 0 ? -1 : 1;
+  const passes = (eclipse) =>
+    filters.type === 'any' ||
+    eclipse.type === filters.type ||
+    (eclipse.type === 'hybrid' && filters.type !== 'partial');
+
+  const scan = { direction, onProgress: filters.onProgress };
+  return scanNewMoons(base, currentSimHours + direction * 24, startDate, scan, (newMoonHours) => {
+    const eclipse = findGreatestEclipse(base, newMoonHours, startDate);
+    if (!eclipse || !passes(eclipse)) return null;
+    return { simHours: eclipse.simHours, eclipse, ...sarosOf(base, newMoonHours, startDate, eclipse) };
+  });
+}
 
-    // Refine the new moon time
-    for (let j = 0; j < 3; j++) {
-      state = deriveSimulationState(base, t, startDate);
-      rotationOffsetDeg = normalize180(state.earthRotation - state.gmst);
-      astro = computeAstronomy(state.julianDay, state, rotationOffsetDeg);
-      t -= astro.moonToSun / (MOON_ECLIPTIC_DEG_PER_HOUR - SUN_ECLIPTIC_DEG_PER_HOUR);
+// Saros series and member number of the eclipse at a new moon, for search results.
+function sarosOf(base, newMoonHours, startDate, eclipse = findGreatestEclipse(base, newMoonHours, startDate)) {
+  if (!eclipse) return { saros: null, sarosMember: null };
+  return { saros: eclipse.saros, sarosMember: findSarosMember(base, eclipse, startDate) };
+}
+
+// Calls visit(newMoonHours) on eclipse-capable new moons from fromHours on until it returns a result,
+// or, with options.toHours, until the new moons pass it.
+function scanNewMoons(base, fromHours, startDate, options, visit) {
+  const { direction = 1, toHours = null, onProgress } = options;
+  let newMoonHours = findNewMoonNear(base, fromHours, startDate);
+  if ((newMoonHours - fromHours) * direction < 0) {
+    newMoonHours = findNewMoonNear(base, newMoonHours + direction * SYNODIC_MONTH_HOURS, startDate);
+  }
+
+  for (let i = 0; i < SEARCH_LUNATIONS; i += 1) {
+    if (toHours !== null && (newMoonHours - toHours) * direction > 0) break;
+    if (onProgress && i % SEARCH_PROGRESS_EVERY === 0) {
+      onProgress({
+        fraction: toHours === null ? i / SEARCH_LUNATIONS : (newMoonHours - fromHours) / (toHours - fromHours),
+        date: new Date(startDate.getTime() + newMoonHours * 3600000),
+      });
     }
+    // Beyond ~1.6° of lunar latitude the penumbra cannot reach the Earth.
+    if (Math.abs(astronomyAt(base, newMoonHours, startDate).moonEclipticLat) < 1.6) {
+      const found = visit(newMoonHours);
+      if (found) return { ...found, lunations: i + 1 };
+    }
+    newMoonHours = findNewMoonNear(base, newMoonHours + direction * SYNODIC_MONTH_HOURS, startDate);
+  }
 
-    state = deriveSimulationState(base, t, startDate);
-    rotationOffsetDeg = normalize180(state.earthRotation - state.gmst);
-    astro = computeAstronomy(state.julianDay, state, rotationOffsetDeg);
-
-    // Check if there is a global eclipse
-    if (astro.depth > 0) {
-      // There is a global eclipse. Check if it's visible at the observer's location.
-      let minDistance = Infinity;
-      let bestT = t;
-      let found = false;
-
-      for (let hour = -6; hour <= 6; hour += 0.1) {
-        const scanT = t + hour;
-        const scanState = deriveSimulationState(base, scanT, startDate);
-        const scanRotationOffsetDeg = normalize180(scanState.earthRotation - scanState.gmst);
-        const scanAstro = computeAstronomy(scanState.julianDay, scanState, scanRotationOffsetDeg);
-
-        const observerToShadowKm = greatCircleDistanceKm(
-          scanState.observerLat,
-          scanState.observerLon,
-          scanAstro.centralLat,
-          scanAstro.centralLon,
-        );
-
-        const penumbraRadiusKm = 6371.0 * Math.max(0, scanAstro.penumbraRadiusDeg || 0) * DEG;
-        if (observerToShadowKm <= penumbraRadiusKm + 25) {
-          found = true;
-          if (observerToShadowKm < minDistance) {
-            minDistance = observerToShadowKm;
-            bestT = scanT;
-          }
-        }
+  return null;
+}
+
+// Every solar eclipse with greatest eclipse between fromHours and toHours (simulation hours).
+// Greatest eclipse can be hours away from the new moon, so the scan starts and ends half a day wider.
+export function findSolarEclipses(base, fromHours, toHours, startDate, options = {}) {
+  const eclipses = [];
+  const scan = { toHours: toHours + 12, onProgress: options.onProgress };
+  scanNewMoons(base, fromHours - 12, startDate, scan, (newMoonHours) => {
+    const eclipse = findGreatestEclipse(base, newMoonHours, startDate);
+    if (eclipse && eclipse.simHours >= fromHours && eclipse.simHours <= toHours) {
+      eclipses.push({ ...eclipse, sarosMember: findSarosMember(base, eclipse, startDate) });
+    }
+    return null;
+  });
+  return eclipses;
+}
+
+// Greatest eclipse (closest approach of the shadow axis to the Earth's centre) near simHours.
+export function findGreatestEclipse(base, simHours, startDate) {
+  const newMoonHours = findNewMoonNear(base, simHours, startDate);
+  const elements = fitBesselianElements(base, newMoonHours, startDate, 4);
+  const axisDistance = (hours) => {
+    const sample = evaluateBesselianElements(elements, hours);
+    return Math.hypot(sample.x, sample.y);
+  };
+
+  const scanStep = 1 / 6;
+  let greatestHours = newMoonHours;
+  let minDistance = Infinity;
+  for (let hours = newMoonHours - 4; hours <= newMoonHours + 4; hours += scanStep) {
+    const distance = axisDistance(hours);
+    if (distance < minDistance) {
+      minDistance = distance;
+      greatestHours = hours;
+    }
+  }
+  greatestHours = goldenSectionMinimum(axisDistance, greatestHours - scanStep, greatestHours + scanStep);
+
+  const elementsAtGreatest = evaluateBesselianElements(elements, greatestHours);
+  const { x, y, d, l1, l2, tanF1, tanF2 } = elementsAtGreatest;
+  const axisDistanceAtGreatest = axisDistance(greatestHours);
+  // Existence and the non-central magnitude are measured against the flattened limb.
+  const limbDistanceAt = (hours) => limbAxisDistance(evaluateBesselianElements(elements, hours));
+  const limbDistance = limbDistanceAt(
+    goldenSectionMinimum(limbDistanceAt, greatestHours - 0.5, greatestHours + 0.5),
+  );
+  if (limbDistance >= 1 + l1) return null;
+
+  const gamma = Math.sign(y || 1) * axisDistanceAtGreatest;
+  const zeta = fundamentalZeta(x, y, d);
+  const central = zeta !== null;
+  let magnitude;
+  let type;
+  if (central) {
+    const L1 = l1 - zeta * tanF1;
+    const L2 = l2 - zeta * tanF2;
+    magnitude = (L1 - L2) / (L1 + L2);
+    type = centralLineTypes(elements).hybrid ? 'hybrid' : L2 < 0 ? 'total' : 'annular';
+  } else {
+    magnitude = (l1 - (limbDistance - 1)) / (l1 + l2);
+    type = limbDistance < 1 + Math.abs(l2) ? (l2 < 0 ? 'total' : 'annular') : 'partial';
+  }
+
+  const astro = astronomyAt(base, greatestHours, startDate);
+  let centralDurationSec = null;
+  let pathWidthKm = null;
+  if (central) {
+    // Duration between C2 and C3 for an observer at the greatest-eclipse point on the central line.
+    const observer = observerGeocentric(astro.centralLat);
+    const inner = (hours) => {
+      const sample = localShadowGeometry(elements, hours, observer, astro.centralLon);
+      return sample.m - Math.abs(sample.L2);
+    };
+    const c2 = findContactHours(inner, greatestHours, -1);
+    const c3 = findContactHours(inner, greatestHours, 1);
+    if (c2 !== null && c3 !== null) centralDurationSec = (c3 - c2) * 3600;
+
+    // Limits at the same instant are offset along an oblique track too, so only their distances
+    // from the central line (across its local direction, ±1 minute around greatest) add up to the width.
+    const north = limitPointAt(elementsAtGreatest, true, 1);
+    const south = limitPointAt(elementsAtGreatest, true, -1);
+    const centralPoint = (hours) => {
+      const sample = evaluateBesselianElements(elements, hours);
+      const axisZeta = fundamentalZeta(sample.x, sample.y, sample.d);
+      return axisZeta === null ? null : fundamentalToGeo(sample.x, sample.y, axisZeta, sample);
+    };
+    const before = centralPoint(greatestHours - 1 / 60);
+    const after = centralPoint(greatestHours + 1 / 60);
+    if (north && south && before && after) {
+      const center = { lat: astro.centralLat, lon: astro.centralLon };
+      const bearing = initialBearingDeg(before.lat, before.lon, after.lat, after.lon);
+      pathWidthKm = Math.abs(crossTrackKm(north, center, bearing) - crossTrackKm(south, center, bearing));
+    }
+  }
+
+  return {
+    simHours: greatestHours,
+    date: new Date(startDate.getTime() + greatestHours * 3600000),
+    type,
+    eclipseClass: ECLIPSE_TYPE_LABELS[type],
+    central,
+    gamma,
+    magnitude,
+    lat: astro.centralLat,
+    lon: astro.centralLon,
+    centralDurationSec,
+    pathWidthKm,
+    ...identifySaros(new Date(startDate.getTime() + greatestHours * 3600000)),
+  };
+}
+
+// Any lunation is reached from the reference by a Saros steps (same series) and b Inex steps
+// (next series); real series have under 90 members, so a is taken in a ±180 window.
+export function identifySaros(date) {
+  const lunation = Math.round((toJulianDate(date) - LUNATION_EPOCH_JD) / (SYNODIC_MONTH_HOURS / 24));
+  const offset = lunation - SAROS_REFERENCE.lunation;
+  let sarosSteps = (((offset * SAROS_INVERSE_MOD_INEX) % INEX_LUNATIONS) + INEX_LUNATIONS) % INEX_LUNATIONS;
+  if (SAROS_REFERENCE.member + sarosSteps > 180) sarosSteps -= INEX_LUNATIONS;
+  return {
+    lunation,
+    saros: SAROS_REFERENCE.saros + (offset - sarosSteps * SAROS_LUNATIONS) / INEX_LUNATIONS,
+  };
+}
+
+// Members of a series are consecutive, so the first one is found by bisection over Saros steps back.
+export function findSarosMember(base, eclipse, startDate) {
+  const isMember = (steps) =>
+    findGreatestEclipse(base, eclipse.simHours + steps * SAROS_LUNATIONS * SYNODIC_MONTH_HOURS, startDate)
+      ?.saros === eclipse.saros;
+  let outside = -SAROS_MAX_MEMBERS;
+  let inside = 0;
+  while (inside - outside > 1) {
+    const middle = Math.floor((inside + outside) / 2);
+    if (isMember(middle)) inside = middle;
+    else outside = middle;
+  }
+  return 1 - inside;
+}
+
+// Every eclipse of the Saros series of the eclipse near simHours, plus its Inex neighbours
+// (one Inex earlier/later, in the previous/next series).
+export function findSarosSeries(base, simHours, startDate) {
+  const anchor = findGreatestEclipse(base, simHours, startDate);
+  if (!anchor) return null;
+
+  const eclipseAfter = (lunations) =>
+    findGreatestEclipse(base, anchor.simHours + lunations * SYNODIC_MONTH_HOURS, startDate);
+  const members = [anchor];
+  [-1, 1].forEach((direction) => {
+    for (let step = 1; step < SAROS_MAX_MEMBERS; step += 1) {
+      const eclipse = eclipseAfter(direction * step * SAROS_LUNATIONS);
+      if (!eclipse || eclipse.saros !== anchor.saros) break;
+      if (direction < 0) members.unshift(eclipse);
+      else members.push(eclipse);
+    }
+  });
+
+  return {
+    saros: anchor.saros,
+    members: members.map((eclipse, index) => ({ ...eclipse, sarosMember: index + 1 })),
+    anchorMember: members.indexOf(anchor) + 1,
+    inexPrevious: eclipseAfter(-INEX_LUNATIONS),
+    inexNext: eclipseAfter(INEX_LUNATIONS),
+  };
+}
+
+// Contacts C1..C4 and maximum for the eclipse nearest to simHours, seen from observerLat/observerLon.
+export function computeLocalCircumstances(base, simHours, startDate) {
+  const newMoonHours = findNewMoonNear(base, simHours, startDate);
+  const elements = fitBesselianElements(base, newMoonHours, startDate, 4);
+  const observer = observerGeocentric(base.observerLat, (base.observerElevation ?? 0) / 1000);
+  const at = (hours) => localShadowGeometry(elements, hours, observer, base.observerLon);
+
+  const scanStep = 1 / 6;
+  let maxHours = newMoonHours - 4;
+  let minDistance = Infinity;
+  for (let hours = newMoonHours - 4; hours <= newMoonHours + 4; hours += scanStep) {
+    const sample = at(hours);
+    if (sample.m < minDistance) {
+      minDistance = sample.m;
+      maxHours = hours;
+    }
+  }
+  maxHours = goldenSectionMinimum((hours) => at(hours).m, maxHours - scanStep, maxHours + scanStep);
+
+  const maximum = at(maxHours);
+  if (maximum.m >= maximum.L1) return null;
+
+  const outer = (hours) => {
+    const sample = at(hours);
+    return sample.m - sample.L1;
+  };
+  const inner = (hours) => {
+    const sample = at(hours);
+    return sample.m - Math.abs(sample.L2);
+  };
+  const hasCentralPhase = maximum.m < Math.abs(maximum.L2);
+  const type = hasCentralPhase ? (maximum.L2 < 0 ? 'total' : 'annular') : 'partial';
+  const describe = (hours, radius) => {
+    if (hours === null) return null;
+    const sample = at(hours);
+    const astro = astronomyAt(base, hours, startDate);
+    const sun = horizontalCoordinates(
+      base.observerLat,
+      astro.subSolarLat,
+      normalize180(base.observerLon - astro.subSolarLon),
+    );
+    const scale = radius ?? 1;
+    return {
+      simHours: hours,
+      date: new Date(startDate.getTime() + hours * 3600000),
+      sunAltitude: sun.altitude,
+      apparentSunAltitude:
+        sun.altitude + atmosphericRefractionDeg(sun.altitude, base.pressureHpa, base.temperatureC),
+      sunRadiusDeg: astro.sunAngularRadiusDeg,
+      sunAzimuth: sun.azimuth,
+      positionAngle: normalize360(Math.atan2(sample.u / scale, sample.v / scale) * RAD),
+    };
+  };
+
+  const c1 = findContactHours(outer, maxHours, -1);
+  const c4 = findContactHours(outer, maxHours, 1);
+  const c2 = hasCentralPhase ? findContactHours(inner, maxHours, -1) : null;
+  const c3 = hasCentralPhase ? findContactHours(inner, maxHours, 1) : null;
+  const sunRadius = (maximum.L1 + maximum.L2) / 2;
+  const moonRadius = (maximum.L1 - maximum.L2) / 2;
+
+  return {
+    type,
+    magnitude: (maximum.L1 - maximum.m) / (maximum.L1 + maximum.L2),
+    obscuration: overlapFraction(sunRadius, moonRadius, maximum.m),
+    c1: describe(c1),
+    c2: describe(c2, maximum.L2),
+    max: describe(maxHours),
+    c3: describe(c3, maximum.L2),
+    c4: describe(c4),
+  };
+}
+
+function astronomyAt(base, simHours, startDate) {
+  const state = deriveSimulationState(base, simHours, startDate);
+  const rotationOffsetDeg = normalize180(state.earthRotation - state.gmst);
+  return computeAstronomy(state.julianDay, state, rotationOffsetDeg);
+}
+
+// Secant iteration on the Moon–Sun elongation: the true relative motion of the precise ephemeris
+// differs from the mean rate by up to ±20%, so a fixed number of mean-rate steps does not converge.
+function findNewMoonNear(base, simHours, startDate) {
+  let previousHours = simHours;
+  let previousElongation = astronomyAt(base, previousHours, startDate).moonToSun;
+  let t = previousHours - previousElongation / (MOON_ECLIPTIC_DEG_PER_HOUR - SUN_ECLIPTIC_DEG_PER_HOUR);
+  for (let i = 0; i < NEW_MOON_MAX_ITERATIONS; i += 1) {
+    const elongation = astronomyAt(base, t, startDate).moonToSun;
+    const rate = (elongation - previousElongation) / (t - previousHours);
+    const step = -elongation / (rate > 0 ? rate : MOON_ECLIPTIC_DEG_PER_HOUR - SUN_ECLIPTIC_DEG_PER_HOUR);
+    previousHours = t;
+    previousElongation = elongation;
+    t += step;
+    if (Math.abs(step) < NEW_MOON_TOLERANCE_HOURS) break;
+  }
+  return t;
+}
+
+// ρ·sin φ' and ρ·cos φ' of the observer in equatorial radii, from the geodetic latitude and height.
+function observerGeocentric(latDeg, heightKm = 0) {
+  const position = geodeticToEarthFixed(latDeg, 0, heightKm);
+  return {
+    rhoSinLat: position.z / WGS84_A_KM,
+    rhoCosLat: Math.hypot(position.x, position.y) / WGS84_A_KM,
+  };
+}
+
+function localShadowGeometry(polynomials, simHours, observer, lonDeg) {
+  const elements = evaluateBesselianElements(polynomials, simHours);
+  const theta = (elements.mu + lonDeg) * DEG;
+  const d = elements.d * DEG;
+  const xi = observer.rhoCosLat * Math.sin(theta);
+  const eta = observer.rhoSinLat * Math.cos(d) - observer.rhoCosLat * Math.cos(theta) * Math.sin(d);
+  const zeta = observer.rhoSinLat * Math.sin(d) + observer.rhoCosLat * Math.cos(theta) * Math.cos(d);
+  const u = elements.x - xi;
+  const v = elements.y - eta;
+  return {
+    u,
+    v,
+    zeta,
+    m: Math.hypot(u, v),
+    L1: elements.l1 - zeta * elements.tanF1,
+    L2: elements.l2 - zeta * elements.tanF2,
+  };
+}
+
+function findContactHours(fn, maxHours, direction) {
+  const step = (1 / 6) * direction;
+  let inside = maxHours;
+  for (let i = 0; i < 36; i += 1) {
+    const outside = inside + step;
+    if (fn(outside) > 0) {
+      return bisectRoot(fn, inside, outside);
+    }
+    inside = outside;
+  }
+  return null;
+}
+
+function bisectRoot(fn, inside, outside) {
+  let a = inside;
+  let b = outside;
+  for (let i = 0; i < 40 && Math.abs(b - a) > 1 / 36000; i += 1) {
+    const mid = (a + b) / 2;
+    if (fn(mid) > 0) b = mid;
+    else a = mid;
+  }
+  return (a + b) / 2;
+}
+
+function goldenSectionMinimum(fn, lower, upper) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  for (let i = 0; i < 40 && b - a > 1 / 36000; i += 1) {
+    const c = b - ratio * (b - a);
+    const d = a + ratio * (b - a);
+    if (fn(c) < fn(d)) b = d;
+    else a = c;
+  }
+  return (a + b) / 2;
+}
+
+// Per-eclipse products do not depend on the current instant, so they are cached by lunation.
+function eclipseProductsFor(state, rotationOffsetDeg) {
+  const newMoonHours = findNewMoonNear(state, 0, state.date);
+  const controls = advanceControls(state, newMoonHours);
+  const lunation = identifySaros(new Date(state.date.getTime() + newMoonHours * 3600000)).lunation;
+  const key = [
+    lunation,
+    rotationOffsetDeg.toFixed(3),
+    controls.ephemeris,
+    CORRECTION_TOGGLES.map(({ key }) => (controls[key] ? 1 : 0)).join(''),
+    ...ECLIPSE_KEY_FIELDS.map((field) => controls[field].toFixed(4)),
+  ].join('|');
+
+  const cached = ECLIPSE_CACHE.get(key);
+  if (cached) return cached;
+
+  const elements = fitBesselianElements(state, newMoonHours, state.date, 4);
+  // Hours are counted from this frame, but cached products are read by later frames, so they keep dates.
+  const withDate = ({ simHours, ...point }) => ({
+    ...point,
+    date: new Date(state.date.getTime() + simHours * 3600000),
+  });
+  const centralLine = centralLineTypes(elements);
+  const products = {
+    groundTrack: computeGroundTrack(elements).map(withDate),
+    pathLimits: computePathLimits(elements),
+    riseSetCurves: computeRiseSetCurves(elements),
+    isolines: computeIsolines(elements),
+    centralLine: { ...centralLine, switches: centralLine.switches.map(withDate) },
+  };
+  ECLIPSE_CACHE.set(key, products);
+  if (ECLIPSE_CACHE.size > ECLIPSE_CACHE_SIZE) {
+    ECLIPSE_CACHE.delete(ECLIPSE_CACHE.keys().next().value);
+  }
+  return products;
+}
+
+// Central line from the first to the last contact of the shadow axis with the Earth; for a partial
+// eclipse, the limb point nearest to the axis over the whole penumbral window. Coarse samples are
+// bisected until the midpoint stays within a few km of the chord.
+function computeGroundTrack(elements) {
+  const window = penumbralWindow(elements);
+  if (!window) return [];
+
+  const axisHits = (hours) => {
+    const sample = evaluateBesselianElements(elements, hours);
+    return fundamentalZeta(sample.x, sample.y, sample.d) !== null;
+  };
+  const pointAt = (hours) => {
+    const sample = evaluateBesselianElements(elements, hours);
+    const zeta = fundamentalZeta(sample.x, sample.y, sample.d);
+    if (zeta !== null) return { simHours: hours, ...fundamentalToGeo(sample.x, sample.y, zeta, sample) };
+    const scale = bisectRoot(
+      (value) => (fundamentalZeta(value * sample.x, value * sample.y, sample.d) === null ? 1 : -1),
+      0,
+      1,
+    );
+    // On the limb ζ = 0; solving for it there would only amplify the bisection error.
+    return { simHours: hours, ...fundamentalToGeo(scale * sample.x, scale * sample.y, 0, sample) };
+  };
+
+  let { start, end } = window;
+  const scanStep = 2 / 60;
+  const hits = [];
+  for (let hours = start; hours <= end + 1e-9; hours += scanStep) {
+    if (axisHits(hours)) hits.push(hours);
+  }
+  if (hits.length) {
+    const first = hits[0];
+    const last = hits[hits.length - 1];
+    const edge = (inside, outside) => bisectRoot((value) => (axisHits(value) ? -1 : 1), inside, outside);
+    start = first > start ? edge(first, first - scanStep) : first;
+    end = last + scanStep <= end ? edge(last, last + scanStep) : last;
+  }
+
+  const refine = (a, b, depth) => {
+    const middle = pointAt((a.simHours + b.simHours) / 2);
+    const chordLon = normalize180(b.lon - a.lon);
+    const cosLat = Math.cos(middle.lat * DEG);
+    const deviationDeg = Math.hypot(
+      middle.lat - (a.lat + b.lat) / 2,
+      normalize180(middle.lon - a.lon - chordLon / 2) * cosLat,
+    );
+    const chordDeg = Math.hypot(b.lat - a.lat, chordLon * cosLat);
+    if (depth >= 10 || (deviationDeg < 0.05 && chordDeg < 2)) return [b];
+    return [...refine(a, middle, depth + 1), ...refine(middle, b, depth + 1)];
+  };
+
+  const coarseStep = 10 / 60;
+  const samples = [];
+  const count = Math.max(1, Math.ceil((end - start) / coarseStep));
+  for (let i = 0; i <= count; i += 1) {
+    samples.push(pointAt(start + ((end - start) * i) / count));
+  }
+  const track = [samples[0]];
+  for (let i = 1; i < samples.length; i += 1) {
+    track.push(...refine(samples[i - 1], samples[i], 0));
+  }
+  return track;
+}
+
+// Northern/southern limits of the umbral (antumbral) path and of the penumbral zone.
+function computePathLimits(elements) {
+  const window = penumbralWindow(elements);
+  const limits = {
+    umbraNorth: [],
+    umbraSouth: [],
+    penumbraNorth: [],
+    penumbraSouth: [],
+  };
+  if (!window) return limits;
+
+  const step = 2 / 60;
+  const variants = [
+    { key: 'umbraNorth', core: true, side: 1 },
+    { key: 'umbraSouth', core: true, side: -1 },
+    { key: 'penumbraNorth', core: false, side: 1 },
+    { key: 'penumbraSouth', core: false, side: -1 },
+  ];
+  variants.forEach(({ key, core, side }) => {
+    let segment = [];
+    for (let hours = window.start; hours <= window.end + 1e-9; hours += step) {
+      const point = limitPointAt(evaluateBesselianElements(elements, hours), core, side);
+      if (point) {
+        segment.push(point);
+      } else if (segment.length) {
+        if (segment.length > 1) limits[key].push(segment);
+        segment = [];
       }
+    }
+    if (segment.length > 1) limits[key].push(segment);
+  });
+  return limits;
+}
 
-      if (found) {
-        return bestT;
+// Curves where the eclipse begins, ends or peaks with the Sun on the horizon (ζ = 0), split by sunrise/sunset.
+// Each terminator crossing is followed as a continuous branch; a branch changes from "begin" to "end"
+// where it meets the maximum curve, so consecutive segments share their joining point.
+function computeRiseSetCurves(elements) {
+  const curves = {
+    beginRise: [],
+    beginSet: [],
+    endRise: [],
+    endSet: [],
+    maxRise: [],
+    maxSet: [],
+  };
+  const window = penumbralWindow(elements);
+  if (!window) return curves;
+
+  const tracks = new Map();
+  const close = (trackKey) => {
+    const track = tracks.get(trackKey);
+    if (track?.points.length > 1) curves[track.curve].push(track.points);
+    tracks.delete(trackKey);
+  };
+  // Two branches of one side appear or vanish together where the shadow edge is tangent to the
+  // terminator (P1, P2, P3, P4); their loose ends are joined there.
+  const pairUp = (trackKeys, pick) => {
+    const groups = {};
+    trackKeys.filter((trackKey) => trackKey.startsWith('edge')).forEach((trackKey) => {
+      const group = trackKey.slice(0, -1);
+      groups[group] = [...(groups[group] ?? []), trackKey];
+    });
+    Object.values(groups)
+      .filter((group) => group.length === 2)
+      .forEach(([first, second]) => pick(tracks.get(first), tracks.get(second)));
+  };
+  const apply = (hours) => {
+    const crossings = horizonPointsAt(evaluateBesselianElements(elements, hours));
+    const seen = new Set();
+    const started = [];
+    crossings.forEach(({ trackKey, curve, point }) => {
+      seen.add(trackKey);
+      const track = tracks.get(trackKey);
+      if (track && track.curve !== curve) {
+        const joint = track.points[track.points.length - 1];
+        close(trackKey);
+        tracks.set(trackKey, { curve, points: [joint, point] });
+      } else if (track) {
+        track.points.push(point);
+      } else {
+        tracks.set(trackKey, { curve, points: [point] });
+        started.push(trackKey);
+      }
+    });
+    pairUp(started, (first, second) => first.points.unshift(second.points[0]));
+    const ended = [...tracks.keys()].filter((trackKey) => !seen.has(trackKey));
+    pairUp(ended, (first, second) => first.points.push(second.points[second.points.length - 1]));
+    ended.forEach(close);
+    return crossings.map((crossing) => crossing.trackKey).join('|');
+  };
+
+  const step = 2 / 60;
+  let previous = null;
+  for (let hours = window.start; hours <= window.end + 1e-9; hours += step) {
+    const signature = horizonPointsAt(evaluateBesselianElements(elements, hours))
+      .map((crossing) => crossing.trackKey)
+      .join('|');
+    if (previous && signature !== previous.signature) {
+      // Close in on the tangency so the joined ends are only a fraction of a second apart.
+      let before = previous.hours;
+      let after = hours;
+      for (let i = 0; i < 12; i += 1) {
+        const mid = (before + after) / 2;
+        const midSignature = horizonPointsAt(evaluateBesselianElements(elements, mid))
+          .map((crossing) => crossing.trackKey)
+          .join('|');
+        if (midSignature === previous.signature) before = mid;
+        else after = mid;
       }
+      apply(before);
+      apply(after);
     }
+    apply(hours);
+    previous = { hours, signature };
+  }
+  const remaining = [...tracks.keys()];
+  pairUp(remaining, (first, second) => first.points.push(second.points[second.points.length - 1]));
+  remaining.forEach(close);
+  return curves;
+}
+
+// Points of the terminator (ξ = sin Q, η = cos Q on the flattened limb) that sit on the penumbra edge
+// or at their local maximum right now. ξ < 0 is the morning side, where ζ is growing.
+function horizonPointsAt(elements) {
+  const d = elements.d * DEG;
+  const muRate = elements.dmu * DEG;
+  const squeeze = limbSqueeze(elements.d);
+  const at = (q) => {
+    const xi = Math.sin(q);
+    const eta = squeeze * Math.cos(q);
+    const u = elements.x - xi;
+    const v = elements.y - eta;
+    const du = elements.dx + muRate * eta * Math.sin(d);
+    const dv = elements.dy - muRate * xi * Math.sin(d);
+    // Second derivative of m²/2; positive where approach = 0 is a minimum of m, i.e. maximum eclipse.
+    const curvature =
+      du * du + dv * dv + muRate * muRate * (u * xi + v * eta * Math.sin(d) ** 2);
+    return {
+      xi,
+      eta,
+      edge: Math.hypot(u, v) - elements.l1,
+      approach: u * du + v * dv,
+      curvature,
+    };
+  };
 
-    // Step forward a bit to avoid finding the same new moon
-    t += 24;
+  const steps = 96;
+  const roots = (field) => {
+    const found = [];
+    for (let i = 0; i < steps; i += 1) {
+      const q0 = (i / steps) * 2 * Math.PI;
+      const q1 = ((i + 1) / steps) * 2 * Math.PI;
+      const sign1 = Math.sign(at(q1)[field]);
+      if (Math.sign(at(q0)[field]) === sign1) continue;
+      const sample = at(bisectRoot((q) => at(q)[field] * sign1, q0, q1));
+      found.push({ ...sample, side: sample.xi < 0 ? 'Rise' : 'Set' });
+    }
+    return found;
+  };
+  const toGeo = (sample) => fundamentalToGeo(sample.xi, sample.eta, 0, elements);
+
+  const crossings = [];
+  const branches = { Rise: 0, Set: 0 };
+  roots('edge').forEach((sample) => {
+    crossings.push({
+      trackKey: `edge${sample.side}${branches[sample.side]}`,
+      curve: `${sample.approach < 0 ? 'begin' : 'end'}${sample.side}`,
+      point: toGeo(sample),
+    });
+    branches[sample.side] += 1;
+  });
+
+  // One maximum per side: the deepest point of the terminator where the distance is at a minimum.
+  ['Rise', 'Set'].forEach((side) => {
+    const deepest = roots('approach')
+      .filter((sample) => sample.side === side && sample.edge < 0 && sample.curvature > 0)
+      .sort((a, b) => a.edge - b.edge)[0];
+    if (deepest) {
+      crossings.push({ trackKey: `max${side}`, curve: `max${side}`, point: toGeo(deepest) });
+    }
+  });
+  return crossings;
+}
+
+// Greatest magnitude and obscuration reached at each node of a lat/lon grid while the Sun is up,
+// contoured at ISOLINE_LEVELS.
+function computeIsolines(elements) {
+  const isolines = { magnitude: [], obscuration: [] };
+  const window = penumbralWindow(elements);
+  if (!window) return isolines;
+
+  const step = 10 / 60;
+  const samples = [];
+  for (let hours = window.start; hours <= window.end + 1e-9; hours += step) {
+    const sample = evaluateBesselianElements(elements, hours);
+    samples.push({ ...sample, sinD: Math.sin(sample.d * DEG), cosD: Math.cos(sample.d * DEG) });
   }
 
-  return null; // Not found
+  const lats = [];
+  const lons = [];
+  for (let lat = -90; lat <= 90; lat += ISOLINE_GRID_STEP_DEG) lats.push(lat);
+  for (let lon = -180; lon <= 180; lon += ISOLINE_GRID_STEP_DEG) lons.push(lon);
+
+  // Same local geometry as localShadowGeometry, unrolled: this loop runs for every node and sample.
+  const sampleMagnitudes = new Float64Array(samples.length);
+  const greatestAt = (observer, lon) => {
+    let best = -1;
+    for (let index = 0; index < samples.length; index += 1) {
+      const sample = samples[index];
+      const theta = (sample.mu + lon) * DEG;
+      const cosTheta = Math.cos(theta);
+      const zeta = observer.rhoSinLat * sample.sinD + observer.rhoCosLat * cosTheta * sample.cosD;
+      sampleMagnitudes[index] = NaN;
+      if (zeta <= 0) continue;
+      const xi = observer.rhoCosLat * Math.sin(theta);
+      const eta = observer.rhoSinLat * sample.cosD - observer.rhoCosLat * cosTheta * sample.sinD;
+      const L1 = sample.l1 - zeta * sample.tanF1;
+      const L2 = sample.l2 - zeta * sample.tanF2;
+      sampleMagnitudes[index] = (L1 - Math.hypot(sample.x - xi, sample.y - eta)) / (L1 + L2);
+      if (best < 0 || sampleMagnitudes[index] > sampleMagnitudes[best]) best = index;
+    }
+    if (best < 0 || sampleMagnitudes[best] <= 0) return null;
+
+    // Parabolic refinement between the neighbouring samples.
+    const before = sampleMagnitudes[best - 1];
+    const after = sampleMagnitudes[best + 1];
+    const curvature = before - 2 * sampleMagnitudes[best] + after;
+    const refine = curvature < 0 ? (after - before) ** 2 / (8 * curvature) : 0;
+    return { index: best, magnitude: sampleMagnitudes[best] - refine };
+  };
+
+  const magnitude = [];
+  const obscuration = [];
+  lats.forEach((lat) => {
+    const observer = observerGeocentric(lat);
+    const magnitudeRow = [];
+    const obscurationRow = [];
+    lons.forEach((lon) => {
+      const greatest = greatestAt(observer, lon);
+      if (!greatest) {
+        magnitudeRow.push(0);
+        obscurationRow.push(0);
+        return;
+      }
+      const local = localShadowGeometry(elements, window.start + greatest.index * step, observer, lon);
+      const m = Math.max(0, local.L1 - greatest.magnitude * (local.L1 + local.L2));
+      magnitudeRow.push(greatest.magnitude);
+      obscurationRow.push(overlapFraction((local.L1 + local.L2) / 2, (local.L1 - local.L2) / 2, m));
+    });
+    magnitude.push(magnitudeRow);
+    obscuration.push(obscurationRow);
+  });
+
+  ISOLINE_LEVELS.forEach((level) => {
+    isolines.magnitude.push({ level, lines: traceContour(magnitude, lats, lons, level) });
+    isolines.obscuration.push({ level, lines: traceContour(obscuration, lats, lons, level) });
+  });
+  return isolines;
 }
 
-function buildGroundTrack(julianDay, controls, rotationOffsetDeg) {
-  const points = [];
-  for (let hour = -6; hour <= 6.001; hour += 0.5) {
-    const sampleControls = {
-      ...controls,
-      sunEclipticLon: normalize360(controls.sunEclipticLon + hour * SUN_ECLIPTIC_DEG_PER_HOUR),
-      ascendingNodeLon: normalize360(controls.ascendingNodeLon + hour * NODE_REGRESSION_DEG_PER_HOUR),
-      moonNodePhase: normalize180(
-        controls.moonNodePhase + hour * (MOON_ECLIPTIC_DEG_PER_HOUR - NODE_REGRESSION_DEG_PER_HOUR),
-      ),
-      moonAnomaly: normalize360(controls.moonAnomaly + hour * MOON_ANOMALY_DEG_PER_HOUR),
+// Marching squares over a regular grid; cell edge crossings are chained into polylines of {lat, lon}.
+function traceContour(values, lats, lons, level) {
+  const crossing = (edge) => {
+    const [kind, row, col] = edge.split(':').map((part, index) => (index ? Number(part) : part));
+    const [row2, col2] = kind === 'h' ? [row, col + 1] : [row + 1, col];
+    const a = values[row][col];
+    const b = values[row2][col2];
+    const f = clamp((level - a) / (b - a), 0, 1);
+    return {
+      lat: lats[row] + (lats[row2] - lats[row]) * f,
+      lon: lons[col] + (lons[col2] - lons[col]) * f,
     };
-    sampleControls.moonEclipticLon = normalize360(
-      sampleControls.ascendingNodeLon + sampleControls.moonNodePhase,
-    );
-    const sample = computeAstronomy(julianDay + hour / 24, sampleControls, rotationOffsetDeg);
-    if (sample.depth > 0.001) {
-      points.push({ lon: sample.centralLon, lat: sample.centralLat });
+  };
+
+  const links = new Map();
+  const link = (from, to) => {
+    links.set(from, [...(links.get(from) ?? []), to]);
+    links.set(to, [...(links.get(to) ?? []), from]);
+  };
+  for (let row = 0; row < lats.length - 1; row += 1) {
+    for (let col = 0; col < lons.length - 1; col += 1) {
+      const corners = [
+        values[row][col],
+        values[row][col + 1],
+        values[row + 1][col + 1],
+        values[row + 1][col],
+      ];
+      const above = corners.map((value) => value >= level);
+      // Edges in corner order: bottom, right, top, left.
+      const edges = [`h:${row}:${col}`, `v:${row}:${col + 1}`, `h:${row + 1}:${col}`, `v:${row}:${col}`];
+      const cut = edges.filter((_, index) => above[index] !== above[(index + 1) % 4]);
+      if (cut.length === 2) {
+        link(cut[0], cut[1]);
+      } else if (cut.length === 4) {
+        // Saddle: the cell centre decides which corners are connected.
+        const centreAbove = corners.reduce((sum, value) => sum + value, 0) / 4 >= level;
+        if (centreAbove === above[0]) {
+          link(edges[0], edges[1]);
+          link(edges[2], edges[3]);
+        } else {
+          link(edges[3], edges[0]);
+          link(edges[1], edges[2]);
+        }
+      }
+    }
+  }
+
+  const lines = [];
+  const visited = new Set();
+  const walk = (start) => {
+    const chain = [start];
+    visited.add(start);
+    let current = start;
+    for (;;) {
+      const next = (links.get(current) ?? []).find((edge) => !visited.has(edge));
+      if (!next) break;
+      visited.add(next);
+      chain.push(next);
+      current = next;
+    }
+    return chain;
+  };
+  // Open chains start at their loose ends, closed loops anywhere.
+  const starts = [...links.keys()].sort((a, b) => links.get(a).length - links.get(b).length);
+  starts.forEach((edge) => {
+    if (visited.has(edge)) return;
+    const chain = walk(edge);
+    if (links.get(edge).length === 2 && links.get(chain[chain.length - 1]).includes(edge)) {
+      chain.push(edge);
+    }
+    if (chain.length > 1) lines.push(chain.map(crossing));
+  });
+  return lines;
+}
+
+// Total/annular along the central line: the umbral vertex (L2 = 0) can cross the curved surface,
+// which makes the eclipse hybrid. Switches are located where L2 changes sign on the axis.
+function centralLineTypes(elements) {
+  const result = { hybrid: false, types: [], switches: [] };
+  const window = penumbralWindow(elements);
+  if (!window) return result;
+
+  const axisZeta = (hours) => {
+    const sample = evaluateBesselianElements(elements, hours);
+    return fundamentalZeta(sample.x, sample.y, sample.d);
+  };
+  // At the ends of the central line the axis grazes the limb, ζ → 0 and L2 → l2.
+  const coreRadius = (hours) => {
+    const sample = evaluateBesselianElements(elements, hours);
+    return sample.l2 - Math.max(0, axisZeta(hours) ?? 0) * sample.tanF2;
+  };
+  const typeOf = (radius) => (radius < 0 ? 'total' : 'annular');
+  const addPoint = (hours, previous) => {
+    const radius = coreRadius(hours);
+    if (result.types[result.types.length - 1] !== typeOf(radius)) {
+      result.types.push(typeOf(radius));
+    }
+    if (previous && typeOf(previous.radius) !== typeOf(radius)) {
+      const sign = Math.sign(radius);
+      const switchHours = bisectRoot((value) => coreRadius(value) * sign, previous.hours, hours);
+      const sample = evaluateBesselianElements(elements, switchHours);
+      result.switches.push({
+        simHours: switchHours,
+        from: typeOf(previous.radius),
+        to: typeOf(radius),
+        ...fundamentalToGeo(sample.x, sample.y, axisZeta(switchHours) ?? 0, sample),
+      });
     }
+    return { hours, radius };
+  };
+  const edgeOfCentralLine = (hit, miss) => bisectRoot((value) => (axisZeta(value) === null ? 1 : -1), hit, miss);
+
+  const step = 2 / 60;
+  let previous = null;
+  for (let hours = window.start; hours <= window.end + 1e-9; hours += step) {
+    const hits = axisZeta(hours) !== null;
+    if (hits && !previous) {
+      previous = addPoint(hours > window.start ? edgeOfCentralLine(hours, hours - step) : hours, null);
+    } else if (!hits && previous) {
+      addPoint(edgeOfCentralLine(previous.hours, hours), previous);
+      previous = null;
+    }
+    if (hits) previous = addPoint(hours, previous);
+  }
+  result.hybrid = result.switches.length > 0;
+  return result;
+}
+
+// Polar semi-axis of the Earth's outline on the fundamental plane (the equatorial one is 1).
+function limbSqueeze(dDeg) {
+  return 1 / Math.sqrt(1 + ((WGS84_A_KM / WGS84_B_KM) ** 2 - 1) * Math.cos(dDeg * DEG) ** 2);
+}
+
+// Distance of the shadow axis from the Earth's centre with η stretched so that the flattened limb
+// becomes the unit circle, as in the spherical tests against 1 + l1.
+function limbAxisDistance(sample) {
+  return Math.hypot(sample.x, sample.y / limbSqueeze(sample.d));
+}
+
+// Span between the first and last external contact of the penumbra with the Earth (P1..P4).
+function penumbralWindow(elements) {
+  const outside = (hours) => {
+    const sample = evaluateBesselianElements(elements, hours);
+    return limbAxisDistance(sample) - (1 + sample.l1);
+  };
+  const scanStep = 1 / 6;
+  let greatestHours = elements.t0Hours;
+  for (let hours = elements.t0Hours - 4; hours <= elements.t0Hours + 4; hours += scanStep) {
+    if (outside(hours) < outside(greatestHours)) greatestHours = hours;
+  }
+  if (outside(greatestHours) >= 0) return null;
+
+  const start = findContactHours(outside, greatestHours, -1);
+  const end = findContactHours(outside, greatestHours, 1);
+  return {
+    start: start ?? elements.t0Hours - 4,
+    end: end ?? elements.t0Hours + 4,
+  };
+}
+
+// The limit is where the shadow edge moves tangentially to itself relative to the rotating Earth.
+function limitPointAt(elements, core, side) {
+  const d = elements.d * DEG;
+  const muRate = elements.dmu * DEG;
+  const dRate = elements.dd * DEG;
+  let zeta = 0;
+  let xi = elements.x;
+  let eta = elements.y;
+
+  for (let i = 0; i < 6; i += 1) {
+    const radius = core
+      ? Math.abs(elements.l2 - zeta * elements.tanF2)
+      : elements.l1 - zeta * elements.tanF1;
+    const xiRate = muRate * (-eta * Math.sin(d) + zeta * Math.cos(d));
+    const etaRate = muRate * xi * Math.sin(d) - zeta * dRate;
+    const a = elements.dx - xiRate;
+    const b = elements.dy - etaRate;
+    const speed = Math.hypot(a, b);
+    if (speed < 1e-9) return null;
+    const sign = side * (a >= 0 ? 1 : -1);
+    xi = elements.x - (sign * radius * b) / speed;
+    eta = elements.y + (sign * radius * a) / speed;
+    zeta = fundamentalZeta(xi, eta, elements.d);
+    if (zeta === null) return null;
+  }
+  return fundamentalToGeo(xi, eta, zeta, elements);
+}
+
+// Topocentric obscuration of the Sun for the current instant at every (lats[row], lons[col]);
+// 0 where the Sun is below the horizon. Row-major, one value per node.
+export function obscurationGrid(elements, lats, lons) {
+  const values = new Float32Array(lats.length * lons.length);
+  const d = elements.d * DEG;
+  const sinD = Math.sin(d);
+  const cosD = Math.cos(d);
+  const thetas = lons.map((lon) => (elements.mu + lon) * DEG);
+  const sinThetas = thetas.map(Math.sin);
+  const cosThetas = thetas.map(Math.cos);
+
+  lats.forEach((lat, row) => {
+    const observer = observerGeocentric(lat);
+    for (let col = 0; col < lons.length; col += 1) {
+      const zeta = observer.rhoSinLat * sinD + observer.rhoCosLat * cosThetas[col] * cosD;
+      if (zeta <= 0) continue;
+      const xi = observer.rhoCosLat * sinThetas[col];
+      const eta = observer.rhoSinLat * cosD - observer.rhoCosLat * cosThetas[col] * sinD;
+      const L1 = elements.l1 - zeta * elements.tanF1;
+      const m = Math.hypot(elements.x - xi, elements.y - eta);
+      if (m >= L1) continue;
+      const L2 = elements.l2 - zeta * elements.tanF2;
+      values[row * lons.length + col] = overlapFraction((L1 + L2) / 2, (L1 - L2) / 2, m);
+    }
+  });
+  return values;
+}
+
+// Same L1 test as obscurationGrid for one observer (height in km), so point and map agree.
+export function isInsidePenumbra(elements, latDeg, lonDeg, heightKm = 0) {
+  const observer = observerGeocentric(latDeg, heightKm);
+  const theta = (elements.mu + lonDeg) * DEG;
+  const d = elements.d * DEG;
+  const zeta = observer.rhoSinLat * Math.sin(d) + observer.rhoCosLat * Math.cos(theta) * Math.cos(d);
+  if (zeta <= 0) return false;
+  const xi = observer.rhoCosLat * Math.sin(theta);
+  const eta = observer.rhoSinLat * Math.cos(d) - observer.rhoCosLat * Math.cos(theta) * Math.sin(d);
+  return Math.hypot(elements.x - xi, elements.y - eta) < elements.l1 - zeta * elements.tanF1;
+}
+
+// Outline where the umbral (core) or penumbral cone meets the ellipsoid. Each direction around the axis
+// is solved for the radius L = l − ζ·tanF at the surface point itself, which stretches the section
+// towards the terminator. Arcs beyond the limb are dropped; closed tells whether the whole ring is on Earth.
+function shadowFootprintOutline(elements, core) {
+  const steps = 180;
+  const points = [];
+  for (let i = 0; i < steps; i += 1) {
+    const angle = (i / steps) * 2 * Math.PI;
+    let zeta = 0;
+    let xi = elements.x;
+    let eta = elements.y;
+    for (let iteration = 0; iteration < 4 && zeta !== null; iteration += 1) {
+      const radius = core
+        ? Math.abs(elements.l2 - zeta * elements.tanF2)
+        : elements.l1 - zeta * elements.tanF1;
+      xi = elements.x + radius * Math.cos(angle);
+      eta = elements.y + radius * Math.sin(angle);
+      zeta = fundamentalZeta(xi, eta, elements.d);
+    }
+    points.push(zeta === null ? null : fundamentalToGeo(xi, eta, zeta, elements));
+  }
+
+  const segments = [];
+  let segment = [];
+  points.forEach((point) => {
+    if (point) {
+      segment.push(point);
+    } else if (segment.length) {
+      segments.push(segment);
+      segment = [];
+    }
+  });
+  if (segment.length) segments.push(segment);
+  const closed = points.every(Boolean);
+  if (closed) {
+    segments[0].push(segments[0][0]);
+  } else if (points[0] && points[steps - 1] && segments.length > 1) {
+    segments[0] = [...segments.pop(), ...segments[0]];
+  }
+  return { closed, segments: segments.filter((item) => item.length > 1) };
+}
+
+// ζ of the point where the line through (ξ, η) parallel to the shadow axis meets the ellipsoid (sunward side).
+function fundamentalZeta(xi, eta, dDeg) {
+  const d = dDeg * DEG;
+  const k = (WGS84_A_KM / WGS84_B_KM) ** 2 - 1;
+  const a = 1 + k * Math.sin(d) ** 2;
+  const b = 2 * k * eta * Math.cos(d) * Math.sin(d);
+  const c = xi * xi + eta * eta * (1 + k * Math.cos(d) ** 2) - 1;
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+  return (-b + Math.sqrt(discriminant)) / (2 * a);
+}
+
+function fundamentalToGeo(xi, eta, zeta, elements) {
+  const d = elements.d * DEG;
+  const polar = eta * Math.cos(d) + zeta * Math.sin(d);
+  const equatorial = Math.hypot(xi, zeta * Math.cos(d) - eta * Math.sin(d));
+  const thetaDeg = Math.atan2(xi, zeta * Math.cos(d) - eta * Math.sin(d)) * RAD;
+  return {
+    lat: surfaceGeodeticLatDeg(polar, equatorial),
+    lon: normalize180(thetaDeg - elements.mu),
+  };
+}
+
+function buildLunarTrack(julianDay, controls, rotationOffsetDeg) {
+  const points = [];
+  for (let hour = -4; hour <= 4.001; hour += 0.25) {
+    const sample = computeAstronomy(julianDay + hour / 24, advanceControls(controls, hour), rotationOffsetDeg);
+    points.push({
+      hour,
+      offsetXDeg: sample.lunarOffsetXDeg,
+      offsetYDeg: sample.lunarOffsetYDeg,
+    });
   }
   return points;
 }
 
+function advanceControls(controls, hour) {
+  const advanced = {
+    ...controls,
+    sunEclipticLon: normalize360(controls.sunEclipticLon + hour * SUN_ECLIPTIC_DEG_PER_HOUR),
+    ascendingNodeLon: normalize360(controls.ascendingNodeLon + hour * NODE_REGRESSION_DEG_PER_HOUR),
+    moonNodePhase: normalize180(
+      controls.moonNodePhase + hour * (MOON_ECLIPTIC_DEG_PER_HOUR - NODE_REGRESSION_DEG_PER_HOUR),
+    ),
+    moonAnomaly: normalize360(controls.moonAnomaly + hour * MOON_ANOMALY_DEG_PER_HOUR),
+  };
+  advanced.moonEclipticLon = normalize360(advanced.ascendingNodeLon + advanced.moonNodePhase);
+  return advanced;
+}
+
 function computeAstronomy(julianDay, controls, rotationOffsetDeg) {
-  const t = julianCenturies(julianDay);
-  const epsilonDeg = meanObliquityDeg(t);
-  const gmstDeg = normalize360(greenwichSiderealDeg(julianDay) + rotationOffsetDeg);
-
-  const sun = sunEclipticCoordinates(t);
-  const correctedSunLon = normalize360(controls.sunEclipticLon);
-  const correctedNodeLon = normalize360(controls.ascendingNodeLon);
-  const correctedMoonLon = normalize360(controls.moonEclipticLon);
-  const correctedMoonLat = clamp(
-    LUNAR_INCLINATION_DEG * Math.sin(normalize180(correctedMoonLon - correctedNodeLon) * DEG),
-    -12,
-    12,
+  const t = julianCenturies(julianDay + (controls.deltaTSeconds ?? 0) / 86400);
+  const bodies = bodyPositions(controls, t);
+  const reduction = coordinateReduction(controls, t);
+  const epsilonDeg = reduction.epsilonDeg;
+  const gmstDeg = normalize360(
+    greenwichSiderealDeg(julianDay) + reduction.equationOfEquinoxesDeg + rotationOffsetDeg,
   );
 
-  const moonDistanceKm = clamp(
-    MOON_PERIGEE_KM + controls.moonDistanceMode * (MOON_APOGEE_KM - MOON_PERIGEE_KM),
-    MOON_PERIGEE_KM,
-    MOON_APOGEE_KM,
-  );
-  const sunDistanceKm = sun.distanceAu * AU_KM;
+  const sunAberrationDeg = controls.useAberration ? solarAberrationDeg(bodies.sunDistanceKm) : 0;
+  const correctedSunLon = normalize360(bodies.sunLon + reduction.longitudeShiftDeg + sunAberrationDeg);
+  const correctedNodeLon = normalize360(bodies.nodeLon + reduction.longitudeShiftDeg);
+  const correctedMoonLon = normalize360(bodies.moonLon + reduction.longitudeShiftDeg);
+  const correctedMoonLat = bodies.moonLat;
+  const moonDistanceKm = bodies.moonDistanceKm;
+  const sunDistanceKm = bodies.sunDistanceKm;
 
   const geometry = buildGeometryFrames({
     correctedSunLon,
+    correctedSunLat: bodies.sunLat,
     correctedMoonLon,
     correctedMoonLat,
     correctedNodeLon,
@@ -287,7 +1413,7 @@ function computeAstronomy(julianDay, controls, rotationOffsetDeg) {
 
   const sunAngularRadiusDeg = Math.asin(clamp(SUN_RADIUS_KM / sunDistanceKm, -1, 1)) * RAD;
   const moonAngularRadiusDeg = Math.asin(clamp(MOON_RADIUS_KM / moonDistanceKm, -1, 1)) * RAD;
-  const moonParallaxDeg = Math.asin(clamp(EARTH_RADIUS_KM / moonDistanceKm, -1, 1)) * RAD;
+  const moonParallaxDeg = Math.asin(clamp(WGS84_A_KM / moonDistanceKm, -1, 1)) * RAD;
   const separationDeg = angularSeparationFromVectors(
     geometry.equatorial.sunFromEarthKm,
     geometry.equatorial.moonFromEarthKm,
@@ -307,13 +1433,14 @@ function computeAstronomy(julianDay, controls, rotationOffsetDeg) {
   }
 
   const shadowAxis = shadowAxisOnEarth(sunVector, moonVector, gmstDeg);
+  const earthShadow = earthShadowAtMoon(sunVector, moonVector, moonAngularRadiusDeg, sunAngularRadiusDeg);
 
   return {
     gmstDeg,
     sunEclipticLon: correctedSunLon,
     moonEclipticLon: correctedMoonLon,
     moonNodePhase,
-    moonAnomaly: normalize360(controls.moonAnomaly),
+    moonAnomaly: bodies.moonAnomaly,
     ascendingNodeLon: correctedNodeLon,
     descendingNodeLon: normalize360(correctedNodeLon + 180),
     moonDistanceKm,
@@ -348,12 +1475,102 @@ function computeAstronomy(julianDay, controls, rotationOffsetDeg) {
       depth,
       shadowAxis.hitsEarth,
     ),
+    lunarUmbraRadiusDeg: earthShadow.umbraRadiusDeg,
+    lunarPenumbraRadiusDeg: earthShadow.penumbraRadiusDeg,
+    lunarSeparationDeg: earthShadow.separationDeg,
+    lunarOffsetXDeg: earthShadow.offsetXDeg,
+    lunarOffsetYDeg: earthShadow.offsetYDeg,
+    umbralMagnitude: earthShadow.umbralMagnitude,
+    penumbralMagnitude: earthShadow.penumbralMagnitude,
+    lunarEclipseClass: classifyLunarEclipse(earthShadow.umbralMagnitude, earthShadow.penumbralMagnitude),
+  };
+}
+
+// Mean ecliptic of date -> true equator and equinox of date. With precession off the series are
+// treated as if they were J2000 coordinates, which is what ignoring it amounts to.
+function coordinateReduction(controls, t) {
+  const shift = controls.useNutation ? nutation(t) : { longitudeDeg: 0, obliquityDeg: 0 };
+  const epsilonDeg = meanObliquityDeg(controls.usePrecession ? t : 0) + shift.obliquityDeg;
+  return {
+    longitudeShiftDeg: shift.longitudeDeg - (controls.usePrecession ? 0 : generalPrecessionDeg(t)),
+    epsilonDeg,
+    // Apparent sidereal time: GMST plus the equation of the equinoxes.
+    equationOfEquinoxesDeg: shift.longitudeDeg * Math.cos(epsilonDeg * DEG),
+  };
+}
+
+// How far the shadow centre moves when each correction is flipped relative to the current settings.
+function correctionShifts(state, rotationOffsetDeg, astro) {
+  return Object.fromEntries(
+    CORRECTION_TOGGLES.map(({ key, id }) => {
+      const flipped = computeAstronomy(state.julianDay, { ...state, [key]: !state[key] }, rotationOffsetDeg);
+      return [id, geodesicDistanceKm(astro.centralLat, astro.centralLon, flipped.centralLat, flipped.centralLon)];
+    }),
+  );
+}
+
+// The lite backend follows the orbit sliders; series backends give positions for the instant itself.
+function bodyPositions(controls, t) {
+  const ephemeris = getEphemeris(controls.ephemeris);
+  const sun = ephemeris.sun(t);
+  if (ephemeris.drivenByControls) {
+    const nodeLon = normalize360(controls.ascendingNodeLon);
+    const moonLon = normalize360(controls.moonEclipticLon);
+    return {
+      sunLon: normalize360(controls.sunEclipticLon),
+      sunLat: 0,
+      sunDistanceKm: sun.distanceKm,
+      moonLon,
+      moonLat: clamp(LUNAR_INCLINATION_DEG * Math.sin(normalize180(moonLon - nodeLon) * DEG), -12, 12),
+      moonDistanceKm: clamp(
+        MOON_PERIGEE_KM + controls.moonDistanceMode * (MOON_APOGEE_KM - MOON_PERIGEE_KM),
+        MOON_PERIGEE_KM,
+        MOON_APOGEE_KM,
+      ),
+      nodeLon,
+      moonAnomaly: normalize360(controls.moonAnomaly),
+    };
+  }
+
+  const moon = ephemeris.moon(t);
+  return {
+    sunLon: sun.lonDeg,
+    sunLat: sun.latDeg,
+    sunDistanceKm: sun.distanceKm,
+    moonLon: moon.lonDeg,
+    moonLat: moon.latDeg,
+    moonDistanceKm: moon.distanceKm,
+    nodeLon: moon.nodeLonDeg,
+    moonAnomaly: moon.meanAnomalyDeg,
+  };
+}
+
+// Slider-driven lite positions next to the ELP2000/VSOP87 series at the same instant.
+function compareEphemerides(state) {
+  const t = julianCenturies(state.julianDayTT);
+  const lite = bodyPositions({ ...state, ephemeris: 'lite' }, t);
+  const precise = bodyPositions({ ...state, ephemeris: 'precise' }, t);
+  const angle = (key) => ({
+    lite: lite[key],
+    precise: precise[key],
+    errorArcsec: normalize180(lite[key] - precise[key]) * 3600,
+  });
+  return {
+    sunLon: angle('sunLon'),
+    moonLon: angle('moonLon'),
+    moonLat: angle('moonLat'),
+    moonDistanceKm: {
+      lite: lite.moonDistanceKm,
+      precise: precise.moonDistanceKm,
+      errorKm: lite.moonDistanceKm - precise.moonDistanceKm,
+    },
   };
 }
 
 function buildGeometryFrames(options) {
   const {
     correctedSunLon,
+    correctedSunLat = 0,
     correctedMoonLon,
     correctedMoonLat,
     correctedNodeLon,
@@ -364,7 +1581,7 @@ function buildGeometryFrames(options) {
   } = options;
 
   // Canonical vectors: first in ecliptic frame, then rotated with matrices.
-  const sunFromEarthEcliptic = sphericalToCartesian(sunDistanceKm, correctedSunLon, 0);
+  const sunFromEarthEcliptic = sphericalToCartesian(sunDistanceKm, correctedSunLon, correctedSunLat);
   const moonFromEarthEcliptic = sphericalToCartesian(
     moonDistanceKm,
     correctedMoonLon,
@@ -414,7 +1631,7 @@ function buildGeometryFrames(options) {
 
 function shadowAxisOnEarth(sunVector, moonVector, gmstDeg) {
   const axisDirection = normalizeVector(scaleVector(sunVector, -1));
-  const intersection = lineSphereIntersection(moonVector, axisDirection, EARTH_RADIUS_KM);
+  const intersection = lineEllipsoidIntersection(moonVector, axisDirection);
 
   let surfacePoint;
   let hitsEarth = false;
@@ -425,12 +1642,7 @@ function shadowAxisOnEarth(sunVector, moonVector, gmstDeg) {
     const tClosest = -dotVector(moonVector, axisDirection);
     const closestPoint = addVector(moonVector, scaleVector(axisDirection, tClosest));
     const norm = magnitudeVector(closestPoint);
-    if (norm < 1e-9) {
-      const fallback = normalizeVector(scaleVector(moonVector, -1));
-      surfacePoint = scaleVector(fallback, EARTH_RADIUS_KM);
-    } else {
-      surfacePoint = scaleVector(closestPoint, EARTH_RADIUS_KM / norm);
-    }
+    surfacePoint = ellipsoidPointAlong(norm < 1e-9 ? scaleVector(moonVector, -1) : closestPoint);
   }
 
   const geo = vectorToEarthLatLon(surfacePoint, gmstDeg);
@@ -441,6 +1653,125 @@ function shadowAxisOnEarth(sunVector, moonVector, gmstDeg) {
   };
 }
 
+export function computeBesselianElements(state) {
+  const rotationOffsetDeg = normalize180(state.earthRotation - state.gmst);
+  const astro = computeAstronomy(state.julianDay, state, rotationOffsetDeg);
+  return besselianFromGeometry(astro.geometry.equatorial, astro.gmstDeg);
+}
+
+// Cubic fit around t0, same layout as published tables: value = a0 + a1*t + a2*t^2 + a3*t^3, t in hours.
+export function fitBesselianElements(base, t0Hours, startDate, spanHours = 3) {
+  const offsets = [];
+  for (let hour = -spanHours; hour <= spanHours + 1e-9; hour += spanHours / 3) {
+    offsets.push(hour);
+  }
+  const samples = offsets.map((hour) =>
+    computeBesselianElements(deriveSimulationState(base, t0Hours + hour, startDate)),
+  );
+  const unwrappedMu = unwrapDegrees(samples.map((sample) => sample.mu));
+  const fit = (values) => polynomialLeastSquares(offsets, values, 3);
+
+  return {
+    t0Hours,
+    x: fit(samples.map((sample) => sample.x)),
+    y: fit(samples.map((sample) => sample.y)),
+    d: fit(samples.map((sample) => sample.d)),
+    mu: fit(unwrappedMu),
+    l1: fit(samples.map((sample) => sample.l1)),
+    l2: fit(samples.map((sample) => sample.l2)),
+    tanF1: samples[3].tanF1,
+    tanF2: samples[3].tanF2,
+  };
+}
+
+export function evaluateBesselianElements(polynomials, simHours) {
+  const t = simHours - polynomials.t0Hours;
+  const value = (coefficients) => evaluatePolynomial(coefficients, t);
+  const rate = (coefficients) => evaluatePolynomialDerivative(coefficients, t);
+  return {
+    x: value(polynomials.x),
+    y: value(polynomials.y),
+    d: value(polynomials.d),
+    mu: normalize360(value(polynomials.mu)),
+    l1: value(polynomials.l1),
+    l2: value(polynomials.l2),
+    tanF1: polynomials.tanF1,
+    tanF2: polynomials.tanF2,
+    dx: rate(polynomials.x),
+    dy: rate(polynomials.y),
+    dd: rate(polynomials.d),
+    dmu: rate(polynomials.mu),
+  };
+}
+
+function besselianFromGeometry(equatorial, gmstDeg) {
+  const sunVector = equatorial.sunFromEarthKm;
+  const moonVector = equatorial.moonFromEarthKm;
+
+  // Fundamental plane: z along the shadow axis (Moon -> Sun), x towards east, y towards north.
+  const moonToSun = addVector(sunVector, scaleVector(moonVector, -1));
+  const moonToSunKm = magnitudeVector(moonToSun);
+  const axisZ = scaleVector(moonToSun, 1 / moonToSunKm);
+  const axisRaDeg = normalize360(Math.atan2(axisZ.y, axisZ.x) * RAD);
+  const axisDecDeg = Math.asin(clamp(axisZ.z, -1, 1)) * RAD;
+  const axisX = { x: -Math.sin(axisRaDeg * DEG), y: Math.cos(axisRaDeg * DEG), z: 0 };
+  const axisY = crossVector(axisZ, axisX);
+
+  const sinF1 = (SUN_RADIUS_KM + MOON_RADIUS_KM) / moonToSunKm;
+  const sinF2 = (SUN_RADIUS_KM - MOON_RADIUS_KM) / moonToSunKm;
+  const cosF1 = Math.sqrt(1 - sinF1 * sinF1);
+  const cosF2 = Math.sqrt(1 - sinF2 * sinF2);
+  const tanF1 = sinF1 / cosF1;
+  const tanF2 = sinF2 / cosF2;
+  const k = MOON_RADIUS_KM / WGS84_A_KM;
+
+  const x = dotVector(moonVector, axisX) / WGS84_A_KM;
+  const y = dotVector(moonVector, axisY) / WGS84_A_KM;
+  const z = dotVector(moonVector, axisZ) / WGS84_A_KM;
+
+  return {
+    x,
+    y,
+    z,
+    d: axisDecDeg,
+    a: axisRaDeg,
+    mu: normalize360(gmstDeg - axisRaDeg),
+    l1: z * tanF1 + k / cosF1,
+    l2: z * tanF2 - k / cosF2,
+    tanF1,
+    tanF2,
+  };
+}
+
+// Earth's umbra/penumbra cross-section at the Moon's distance, with the usual 2% atmospheric enlargement.
+function earthShadowAtMoon(sunVector, moonVector, moonAngularRadiusDeg, sunAngularRadiusDeg) {
+  const sunParallaxDeg = Math.asin(clamp(WGS84_A_KM / magnitudeVector(sunVector), -1, 1)) * RAD;
+  const moonParallaxDeg = Math.asin(clamp(WGS84_A_KM / magnitudeVector(moonVector), -1, 1)) * RAD;
+  const penumbraRadiusDeg =
+    EARTH_SHADOW_ENLARGEMENT * (moonParallaxDeg + sunParallaxDeg + sunAngularRadiusDeg);
+  const umbraRadiusDeg =
+    EARTH_SHADOW_ENLARGEMENT * (moonParallaxDeg + sunParallaxDeg - sunAngularRadiusDeg);
+
+  // Offsets of the Moon from the antisolar point: x towards east, y towards north.
+  const center = normalizeVector(scaleVector(sunVector, -1));
+  const east = normalizeVector(crossVector({ x: 0, y: 0, z: 1 }, center));
+  const north = crossVector(center, east);
+  const moonDirection = normalizeVector(moonVector);
+  const along = dotVector(moonDirection, center);
+  const separationDeg = angularSeparationFromVectors(center, moonDirection);
+
+  return {
+    umbraRadiusDeg,
+    penumbraRadiusDeg,
+    separationDeg,
+    offsetXDeg: Math.atan2(dotVector(moonDirection, east), along) * RAD,
+    offsetYDeg: Math.atan2(dotVector(moonDirection, north), along) * RAD,
+    umbralMagnitude: (umbraRadiusDeg + moonAngularRadiusDeg - separationDeg) / (2 * moonAngularRadiusDeg),
+    penumbralMagnitude:
+      (penumbraRadiusDeg + moonAngularRadiusDeg - separationDeg) / (2 * moonAngularRadiusDeg),
+  };
+}
+
 function sunViewProjection(sunVector, moonVector) {
   const earthFromSun = normalizeVector(scaleVector(sunVector, -1));
   const moonFromSun = normalizeVector(addVector(moonVector, scaleVector(sunVector, -1)));
@@ -454,7 +1785,7 @@ function sunViewProjection(sunVector, moonVector) {
   const y = Math.atan2(dotVector(moonFromSun, axisY), dotVector(moonFromSun, earthFromSun)) * RAD;
 
   const moonDistanceFromSunKm = magnitudeVector(addVector(moonVector, scaleVector(sunVector, -1)));
-  const earthAngularRadiusDeg = Math.asin(clamp(EARTH_RADIUS_KM / magnitudeVector(sunVector), -1, 1)) * RAD;
+  const earthAngularRadiusDeg = Math.asin(clamp(WGS84_A_KM / magnitudeVector(sunVector), -1, 1)) * RAD;
   const moonAngularRadiusDeg = Math.asin(clamp(MOON_RADIUS_KM / moonDistanceFromSunKm, -1, 1)) * RAD;
 
   return {
@@ -465,21 +1796,54 @@ function sunViewProjection(sunVector, moonVector) {
   };
 }
 
-function lineSphereIntersection(origin, direction, radiusKm) {
-  const b = 2 * dotVector(origin, direction);
-  const c = dotVector(origin, origin) - radiusKm * radiusKm;
-  const discriminant = b * b - 4 * c;
+// Stretching z by a/b turns the ellipsoid into a sphere of radius a, where the usual quadratic applies.
+function lineEllipsoidIntersection(origin, direction) {
+  const stretch = WGS84_A_KM / WGS84_B_KM;
+  const o = { x: origin.x, y: origin.y, z: origin.z * stretch };
+  const u = { x: direction.x, y: direction.y, z: direction.z * stretch };
+  const a = dotVector(u, u);
+  const b = 2 * dotVector(o, u);
+  const c = dotVector(o, o) - WGS84_A_KM * WGS84_A_KM;
+  const discriminant = b * b - 4 * a * c;
   if (discriminant < 0) return null;
 
   const sqrtDisc = Math.sqrt(discriminant);
-  const t1 = (-b - sqrtDisc) / 2;
-  const t2 = (-b + sqrtDisc) / 2;
+  const t1 = (-b - sqrtDisc) / (2 * a);
+  const t2 = (-b + sqrtDisc) / (2 * a);
   const candidates = [t1, t2].filter((value) => value > 0);
   if (candidates.length === 0) return null;
   const t = Math.min(...candidates);
   return addVector(origin, scaleVector(direction, t));
 }
 
+function ellipsoidPointAlong(vector) {
+  const scale =
+    1 /
+    Math.sqrt(
+      (vector.x * vector.x + vector.y * vector.y) / (WGS84_A_KM * WGS84_A_KM) +
+        (vector.z * vector.z) / (WGS84_B_KM * WGS84_B_KM),
+    );
+  return scaleVector(vector, scale);
+}
+
+// Geodetic latitude of a surface point from its polar and equatorial components.
+function surfaceGeodeticLatDeg(polar, equatorial) {
+  return Math.atan2(polar, equatorial * (WGS84_B_KM / WGS84_A_KM) ** 2) * RAD;
+}
+
+export function geodeticToEarthFixed(latDeg, lonDeg, heightKm = 0) {
+  const lat = latDeg * DEG;
+  const lon = lonDeg * DEG;
+  const e2 = WGS84_F * (2 - WGS84_F);
+  const primeVerticalKm = WGS84_A_KM / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+  const radial = (primeVerticalKm + heightKm) * Math.cos(lat);
+  return {
+    x: radial * Math.cos(lon),
+    y: radial * Math.sin(lon),
+    z: (primeVerticalKm * (1 - e2) + heightKm) * Math.sin(lat),
+  };
+}
+
 function sphericalToCartesian(distance, lonDeg, latDeg) {
   const lon = lonDeg * DEG;
   const lat = latDeg * DEG;
@@ -501,12 +1865,11 @@ function vectorToLatLon(vector) {
   };
 }
 
+// Surface point in the equatorial frame -> geodetic latitude and longitude.
 function vectorToEarthLatLon(vector, gmstDeg) {
-  const norm = magnitudeVector(vector);
-  const dec = Math.asin(clamp(vector.z / norm, -1, 1)) * RAD;
   const ra = normalize360(Math.atan2(vector.y, vector.x) * RAD);
   return {
-    latDeg: dec,
+    latDeg: surfaceGeodeticLatDeg(vector.z, Math.hypot(vector.x, vector.y)),
     lonDeg: normalize180(ra - gmstDeg),
   };
 }
@@ -578,18 +1941,74 @@ function applyMatrix3(matrix, vector) {
   };
 }
 
+function unwrapDegrees(values) {
+  const result = [values[0]];
+  for (let i = 1; i < values.length; i += 1) {
+    const previous = result[i - 1];
+    result.push(previous + normalize180(values[i] - previous));
+  }
+  return result;
+}
+
+function polynomialLeastSquares(xs, ys, degree) {
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+  xs.forEach((x, index) => {
+    for (let row = 0; row < size; row += 1) {
+      for (let col = 0; col < size; col += 1) {
+        matrix[row][col] += x ** (row + col);
+      }
+      matrix[row][size] += ys[index] * x ** row;
+    }
+  });
+
+  // Gauss-Jordan elimination with partial pivoting on the normal equations.
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row += 1) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let row = 0; row < size; row += 1) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= size; k += 1) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+  return matrix.map((row, index) => row[size] / row[index]);
+}
+
+function evaluatePolynomial(coefficients, t) {
+  return coefficients.reduceRight((sum, coefficient) => sum * t + coefficient, 0);
+}
+
+function evaluatePolynomialDerivative(coefficients, t) {
+  let sum = 0;
+  for (let power = coefficients.length - 1; power >= 1; power -= 1) {
+    sum = sum * t + power * coefficients[power];
+  }
+  return sum;
+}
+
 function classifyEclipse(bestSeparationDeg, sunRadiusDeg, moonRadiusDeg, depth, axisHitsEarth) {
-  if (depth <= 0.0005) return 'Нет солнечного затмения';
+  if (depth <= 0.0005) return ECLIPSE_TYPE_LABELS.none;
   const radiusDiff = Math.abs(moonRadiusDeg - sunRadiusDeg);
   if (axisHitsEarth && bestSeparationDeg <= radiusDiff) {
-    return moonRadiusDeg >= sunRadiusDeg
-      ? 'Полное солнечное затмение'
-      : 'Кольцеобразное солнечное затмение';
+    return moonRadiusDeg >= sunRadiusDeg ? ECLIPSE_TYPE_LABELS.total : ECLIPSE_TYPE_LABELS.annular;
   }
   if (bestSeparationDeg < sunRadiusDeg + moonRadiusDeg) {
-    return 'Частное солнечное затмение';
+    return ECLIPSE_TYPE_LABELS.partial;
   }
-  return 'Нет солнечного затмения';
+  return ECLIPSE_TYPE_LABELS.none;
+}
+
+function classifyLunarEclipse(umbralMagnitude, penumbralMagnitude) {
+  if (umbralMagnitude >= 1) return 'Полное лунное затмение';
+  if (umbralMagnitude > 0) return 'Частное лунное затмение';
+  if (penumbralMagnitude > 0) return 'Полутеневое лунное затмение';
+  return 'Нет лунного затмения';
 }
 
 export function overlapFraction(sunRadiusDeg, moonRadiusDeg, separationDeg) {
@@ -623,126 +2042,6 @@ function solveFootprintRadiusDeg(parallaxDeg, targetOffsetDeg) {
   return Math.asin(clamp(ratio, -1, 1)) * RAD;
 }
 
-function sunEclipticCoordinates(t) {
-  const l0 = normalize360(280.46646 + 36000.76983 * t + 0.0003032 * t * t);
-  const meanAnomalyDeg = normalize360(
-    357.52911 + 35999.05029 * t - 0.0001537 * t * t + (t * t * t) / 24490000,
-  );
-  const meanAnomaly = meanAnomalyDeg * DEG;
-
-  const equationOfCenter =
-    (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(meanAnomaly) +
-    (0.019993 - 0.000101 * t) * Math.sin(2 * meanAnomaly) +
-    0.000289 * Math.sin(3 * meanAnomaly);
-
-  const lonDeg = normalize360(l0 + equationOfCenter);
-  const distanceAu =
-    1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly);
-
-  return {
-    lonDeg,
-    distanceAu,
-    meanAnomalyDeg,
-  };
-}
-
-function moonEclipticCoordinates(t) {
-  const meanLonDeg = normalize360(
-    218.3164477 +
-      481267.88123421 * t -
-      0.0015786 * t * t +
-      (t * t * t) / 538841 -
-      (t * t * t * t) / 65194000,
-  );
-  const meanElongationDeg = normalize360(
-    297.8501921 +
-      445267.1114034 * t -
-      0.0018819 * t * t +
-      (t * t * t) / 545868 -
-      (t * t * t * t) / 113065000,
-  );
-  const sunAnomalyDeg = normalize360(
-    357.5291092 + 35999.0502909 * t - 0.0001536 * t * t + (t * t * t) / 24490000,
-  );
-  const meanAnomalyDeg = normalize360(
-    134.9633964 +
-      477198.8675055 * t +
-      0.0087414 * t * t +
-      (t * t * t) / 69699 -
-      (t * t * t * t) / 14712000,
-  );
-  const argumentOfLatitudeDeg = normalize360(
-    93.2720950 +
-      483202.0175233 * t -
-      0.0036539 * t * t -
-      (t * t * t) / 3526000 +
-      (t * t * t * t) / 863310000,
-  );
-  const nodeLonDeg = normalize360(
-    125.04452 -
-      1934.136261 * t +
-      0.0020708 * t * t +
-      (t * t * t) / 450000,
-  );
-
-  const d = meanElongationDeg * DEG;
-  const m = sunAnomalyDeg * DEG;
-  const mPrime = meanAnomalyDeg * DEG;
-  const f = argumentOfLatitudeDeg * DEG;
-  const e = 1 - 0.002516 * t - 0.0000074 * t * t;
-
-  const lonDeg =
-    meanLonDeg +
-    6.289 * Math.sin(mPrime) +
-    1.274 * Math.sin(2 * d - mPrime) +
-    0.658 * Math.sin(2 * d) +
-    0.214 * Math.sin(2 * mPrime) -
-    0.186 * e * Math.sin(m) -
-    0.114 * Math.sin(2 * f) -
-    0.059 * Math.sin(2 * d - 2 * mPrime) -
-    0.057 * e * Math.sin(2 * d - m - mPrime) +
-    0.053 * Math.sin(2 * d + mPrime) +
-    0.046 * e * Math.sin(2 * d - m) +
-    0.041 * e * Math.sin(m - mPrime) -
-    0.035 * Math.sin(d) -
-    0.031 * e * Math.sin(m + mPrime) -
-    0.015 * Math.sin(2 * f - 2 * d) +
-    0.011 * Math.sin(2 * d - mPrime - 2 * f);
-
-  const latDeg =
-    5.128 * Math.sin(f) +
-    0.280 * Math.sin(mPrime + f) +
-    0.277 * Math.sin(mPrime - f) +
-    0.173 * Math.sin(2 * d - f) +
-    0.055 * Math.sin(2 * d - mPrime + f) +
-    0.046 * Math.sin(2 * d - mPrime - f) +
-    0.033 * Math.sin(2 * d + f) +
-    0.017 * Math.sin(2 * mPrime + f) +
-    0.009 * Math.sin(2 * d + mPrime - f) +
-    0.009 * e * Math.sin(2 * d - m + f) +
-    0.008 * e * Math.sin(2 * d - m - f);
-
-  const distanceKm =
-    385000.56 -
-    20905 * Math.cos(mPrime) -
-    3699 * Math.cos(2 * d - mPrime) -
-    2956 * Math.cos(2 * d) -
-    570 * Math.cos(2 * mPrime) +
-    246 * Math.cos(2 * mPrime - 2 * d) -
-    205 * e * Math.cos(m - 2 * d) -
-    171 * Math.cos(mPrime + 2 * d) -
-    152 * e * Math.cos(mPrime + m - 2 * d) -
-    129 * Math.cos(mPrime - 2 * d);
-
-  return {
-    lonDeg: normalize360(lonDeg),
-    latDeg: clamp(latDeg, -8.5, 8.5),
-    distanceKm,
-    meanAnomalyDeg,
-    nodeLonDeg,
-  };
-}
-
 function meanObliquityDeg(t) {
   return 23.439291 - 0.0130042 * t - 0.00000016 * t * t + 0.000000504 * t * t * t;
 }
@@ -785,6 +2084,19 @@ export function horizontalCoordinates(observerLat, declination, hourAngleDeg) {
   };
 }
 
+// Saemundsson's formula: true -> apparent altitude shift, scaled by pressure and temperature.
+// Below -2° it is held constant; the body is under any visible horizon by then.
+export function atmosphericRefractionDeg(trueAltitudeDeg, pressureHpa = 1010, temperatureC = 10) {
+  const altitude = Math.max(trueAltitudeDeg, -2);
+  const arcminutes = 1.02 / Math.tan((altitude + 10.3 / (altitude + 5.11)) * DEG);
+  return (arcminutes / 60) * (pressureHpa / 1010) * (283 / (273 + temperatureC));
+}
+
+// Dip of the sea horizon below the astronomical one, with standard terrestrial refraction.
+export function horizonDipDeg(elevationM = 0) {
+  return 0.0293 * Math.sqrt(Math.max(0, elevationM));
+}
+
 export function sphereProject(lat, lon, radius, cx, cy, tiltDeg, rotDeg) {
   const latR = lat * DEG;
   const lonR = (lon + rotDeg) * DEG;
@@ -811,18 +2123,47 @@ export function altAzToXY(azimuth, altitude, width, horizonY, pad = 56) {
   return { x, y };
 }
 
-export function greatCircleDistanceKm(latA, lonA, latB, lonB) {
-  const lat1 = latA * DEG;
-  const lat2 = latB * DEG;
-  const dLat = (latB - latA) * DEG;
+// Lambert's formula on the WGS84 ellipsoid; good to ~10 m for any pair of points.
+export function geodesicDistanceKm(latA, lonA, latB, lonB) {
+  const beta1 = Math.atan((1 - WGS84_F) * Math.tan(latA * DEG));
+  const beta2 = Math.atan((1 - WGS84_F) * Math.tan(latB * DEG));
   const dLon = (lonB - lonA) * DEG;
-  const sinHalfLat = Math.sin(dLat / 2);
+  const sinHalfLat = Math.sin((beta2 - beta1) / 2);
   const sinHalfLon = Math.sin(dLon / 2);
-  const a =
+  const h =
     sinHalfLat * sinHalfLat +
-    Math.cos(lat1) * Math.cos(lat2) * sinHalfLon * sinHalfLon;
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return EARTH_RADIUS_KM * c;
+    Math.cos(beta1) * Math.cos(beta2) * sinHalfLon * sinHalfLon;
+  const sigma = 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  if (sigma < 1e-12) return 0;
+
+  const p = (beta1 + beta2) / 2;
+  const q = (beta2 - beta1) / 2;
+  const halfCos = Math.cos(sigma / 2);
+  const halfSin = Math.sin(sigma / 2);
+  const x = halfCos > 1e-12
+    ? ((sigma - Math.sin(sigma)) * Math.sin(p) ** 2 * Math.cos(q) ** 2) / (halfCos * halfCos)
+    : 0;
+  const y = ((sigma + Math.sin(sigma)) * Math.cos(p) ** 2 * Math.sin(q) ** 2) / (halfSin * halfSin);
+  return WGS84_A_KM * (sigma - (WGS84_F / 2) * (x + y));
+}
+
+function initialBearingDeg(latA, lonA, latB, lonB) {
+  const lat1 = latA * DEG;
+  const lat2 = latB * DEG;
+  const dLon = (lonB - lonA) * DEG;
+  return normalize360(
+    Math.atan2(
+      Math.sin(dLon) * Math.cos(lat2),
+      Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon),
+    ) * RAD,
+  );
+}
+
+// Signed distance of point from the great circle through origin with the given bearing (right is positive).
+function crossTrackKm(point, origin, bearingDeg) {
+  const angular = geodesicDistanceKm(origin.lat, origin.lon, point.lat, point.lon) / WGS84_A_KM;
+  const pointBearing = initialBearingDeg(origin.lat, origin.lon, point.lat, point.lon);
+  return Math.asin(Math.sin(angular) * Math.sin((pointBearing - bearingDeg) * DEG)) * WGS84_A_KM;
 }
 
 export function normalize180(angle) {
@@ -0,0 +1,104 @@
+// ΔT = TT - UT in seconds. Ephemerides run on TT, Earth rotation (sidereal time) on UT.
+
+export const DELTA_T_MODELS = [
+  { key: 'espenak-meeus', label: 'Espenak–Meeus (2006)' },
+  { key: 'morrison-stephenson', label: 'Morrison–Stephenson (2004)' },
+  { key: 'none', label: 'Без ΔT (TT = UT)' },
+  { key: 'custom', label: 'Своё значение' },
+];
+
+export const DEFAULT_DELTA_T_MODEL = 'espenak-meeus';
+export const DEFAULT_DELTA_T_OVERRIDE_SEC = 69;
+
+export function deltaTSeconds(julianDay, model = DEFAULT_DELTA_T_MODEL, overrideSeconds = 0) {
+  const year = decimalYear(julianDay);
+  switch (model) {
+    case 'none':
+      return 0;
+    case 'custom':
+      return Number.isFinite(overrideSeconds) ? overrideSeconds : 0;
+    case 'morrison-stephenson':
+      return longTermParabola(year);
+    default:
+      return espenakMeeus(year);
+  }
+}
+
+function decimalYear(julianDay) {
+  return 2000 + (julianDay - 2451545.0) / 365.25;
+}
+
+function longTermParabola(year) {
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u * u;
+}
+
+// Polynomial fits from Espenak & Meeus, "Five Millennium Canon of Solar Eclipses" (NASA TP-2006-214141).
+function espenakMeeus(y) {
+  if (y < -500) return longTermParabola(y);
+  if (y < 500) {
+    const u = y / 100;
+    return polynomial(u, [10583.6, -1014.41, 33.78311, -5.952053, -0.1798452, 0.022174192, 0.0090316521]);
+  }
+  if (y < 1600) {
+    const u = (y - 1000) / 100;
+    return polynomial(u, [1574.2, -556.01, 71.23472, 0.319781, -0.8503463, -0.005050998, 0.0083572073]);
+  }
+  if (y < 1700) {
+    const t = y - 1600;
+    return polynomial(t, [120, -0.9808, -0.01532, 1 / 7129]);
+  }
+  if (y < 1800) {
+    const t = y - 1700;
+    return polynomial(t, [8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000]);
+  }
+  if (y < 1860) {
+    const t = y - 1800;
+    return polynomial(t, [
+      13.72,
+      -0.332447,
+      0.0068612,
+      0.0041116,
+      -0.00037436,
+      0.0000121272,
+      -0.0000001699,
+      0.000000000875,
+    ]);
+  }
+  if (y < 1900) {
+    const t = y - 1860;
+    return polynomial(t, [7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174]);
+  }
+  if (y < 1920) {
+    const t = y - 1900;
+    return polynomial(t, [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197]);
+  }
+  if (y < 1941) {
+    const t = y - 1920;
+    return polynomial(t, [21.2, 0.84493, -0.0761, 0.0020936]);
+  }
+  if (y < 1961) {
+    const t = y - 1950;
+    return polynomial(t, [29.07, 0.407, -1 / 233, 1 / 2547]);
+  }
+  if (y < 1986) {
+    const t = y - 1975;
+    return polynomial(t, [45.45, 1.067, -1 / 260, -1 / 718]);
+  }
+  if (y < 2005) {
+    const t = y - 2000;
+    return polynomial(t, [63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599]);
+  }
+  if (y < 2050) {
+    const t = y - 2000;
+    return polynomial(t, [62.92, 0.32217, 0.005589]);
+  }
+  if (y < 2150) {
+    return longTermParabola(y) - 0.5628 * (2150 - y);
+  }
+  return longTermParabola(y);
+}
+
+function polynomial(t, coefficients) {
+  return coefficients.reduceRight((sum, coefficient) => sum * t + coefficient, 0);
+}
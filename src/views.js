@@ -1,13 +1,18 @@
-import { geoGraticule, geoMercator, geoOrthographic, geoPath } from 'd3-geo';
+import { geoArea, geoDistance, geoGraticule, geoMercator, geoOrthographic, geoPath } from 'd3-geo';
 import { SEA_LABELS } from './earthData.js';
 import {
   altAzToXY,
+  atmosphericRefractionDeg,
   clamp,
   DEG,
   RAD,
+  geodeticToEarthFixed,
+  horizonDipDeg,
   horizontalCoordinates,
+  isInsidePenumbra,
   normalize180,
   normalize360,
+  obscurationGrid,
   overlapFraction,
   sphereProject,
 } from './simulation.js';
@@ -36,6 +41,9 @@ const LAND_STORE = {
   features: [],
 };
 const LAND_DATA_URL = `${import.meta.env.BASE_URL}data/ne_50m_land.json`;
+// Obscuration is sampled every few screen pixels and upscaled with smoothing.
+const OBSCURATION_RASTER_STEP_PX = 3;
+const OBSCURATION_RASTER = { canvas: null };
 
 export const VIEWS = [
   {
@@ -80,6 +88,13 @@ export const VIEWS = [
       'Геометрический разрез Солнце-Луна-Земля с умброй/пенумброй и радиусами тени в земной плоскости.',
     draw: drawCrossSection,
   },
+  {
+    id: 'lunar',
+    name: 'Лунное затмение',
+    description:
+      'Тень Земли на расстоянии Луны: умбра, пенумбра и путь Луны через них за ±4 часа.',
+    draw: drawLunarEclipse,
+  },
 ];
 
 function drawEarthView(ctx, model, viewport, options = {}) {
@@ -110,6 +125,7 @@ function drawMercator(ctx, model, viewport) {
   drawMapGrid(ctx, projection, padX, mapY, mapW, mapH);
   drawSolarIlluminationMap(ctx, model, projection, padX, mapY, mapW, mapH);
   drawMapContinents(ctx, projection, padX, mapY, mapW, mapH);
+  drawObscurationRaster(ctx, model, projection, padX, mapY, mapW, mapH);
   drawSeaLabels(ctx, projection, padX, mapY, mapW, mapH);
 
   ctx.save();
@@ -138,49 +154,20 @@ function drawMercator(ctx, model, viewport) {
   ctx.stroke();
   ctx.setLineDash([]);
 
-  const centerPoint = projectLonLat(projection, model.centralLon, model.centralLat);
-  const penumbraRadiusDeg = clamp(model.penumbraRadiusDeg, 0, 89.5);
-  const umbraRadiusDeg = clamp(model.umbraRadiusDeg, 0, 89.5);
-
-  if (centerPoint && penumbraRadiusDeg > 0.05) {
-    ctx.strokeStyle = 'rgba(255,255,255,0.66)';
-    ctx.lineWidth = 1;
-    drawSphericalCircleOnMap(
-      ctx,
-      projection,
-      model.centralLat,
-      model.centralLon,
-      penumbraRadiusDeg,
-      mapW,
-    );
-  }
+  drawIsolines(ctx, projection, model.isolines);
+  drawPathLimits(ctx, projection, model.pathLimits);
+  drawRiseSetCurves(ctx, projection, model.riseSetCurves);
+  drawTypeSwitches(ctx, projection, model.centralLine);
 
-  if (centerPoint && umbraRadiusDeg > 0.03) {
-    ctx.fillStyle = `rgba(0,0,0,${0.5 + model.depth * 0.36})`;
-    drawSphericalCircleOnMap(
-      ctx,
-      projection,
-      model.centralLat,
-      model.centralLon,
-      umbraRadiusDeg,
-      mapW,
-      true,
-    );
-    ctx.strokeStyle = 'rgba(255,255,255,0.9)';
-    ctx.lineWidth = 1;
-    drawSphericalCircleOnMap(
-      ctx,
-      projection,
-      model.centralLat,
-      model.centralLon,
-      umbraRadiusDeg,
-      mapW,
-    );
-  }
+  const centerPoint = projectLonLat(projection, model.centralLon, model.centralLat);
+  drawShadowFootprint(ctx, projection, model.shadowFootprint, {
+    umbraFill: `rgba(0,0,0,${0.5 + model.depth * 0.36})`,
+  });
 
   if (centerPoint) {
     const [cx, cy] = centerPoint;
     drawCrosshair(ctx, cx, cy, 'rgba(255,255,255,0.95)', 7, 1.2);
+    drawShadowArrow(ctx, projection, model, centerPoint);
   }
   ctx.restore();
 
@@ -245,19 +232,25 @@ function drawGlobe(ctx, model, viewport) {
     projection: globeProjection,
   });
 
+  ctx.save();
+  circlePath(ctx, cx, cy, radius);
+  ctx.clip();
+  drawIsolines(ctx, globeProjection, model.isolines);
+  drawPathLimits(ctx, globeProjection, model.pathLimits);
+  drawTypeSwitches(ctx, globeProjection, model.centralLine);
+  drawShadowFootprint(ctx, globeProjection, model.shadowFootprint, {
+    penumbraFill: 'rgba(255,255,255,0.08)',
+    penumbraStroke: 'rgba(255,255,255,0.78)',
+    umbraFill: `rgba(0,0,0,${0.5 + model.depth * 0.35})`,
+  });
+  ctx.restore();
+
   const shadow = projectLonLat(globeProjection, model.centralLon, model.centralLat, 89.999);
   if (shadow) {
-    const umbraPx = Math.max(2, radius * Math.sin((model.umbraRadiusDeg || 0) * DEG));
-    const penumbraPx = Math.max(umbraPx + 1, radius * Math.sin((model.penumbraRadiusDeg || 0) * DEG));
-
-    ctx.fillStyle = 'rgba(255,255,255,0.08)';
-    circle(ctx, shadow[0], shadow[1], penumbraPx, true);
-    ctx.fillStyle = `rgba(0,0,0,${0.5 + model.depth * 0.35})`;
-    circle(ctx, shadow[0], shadow[1], umbraPx, true);
-    ctx.strokeStyle = 'rgba(255,255,255,0.78)';
-    ctx.lineWidth = 1;
-    circle(ctx, shadow[0], shadow[1], penumbraPx);
     drawCrosshair(ctx, shadow[0], shadow[1], 'rgba(255,255,255,0.86)', 7, 1.1);
+    if (isOnVisibleSide(globeProjection, { lat: model.centralLat, lon: model.centralLon })) {
+      drawShadowArrow(ctx, globeProjection, model, shadow);
+    }
   }
 
   ctx.fillStyle = COLORS.muted;
@@ -491,11 +484,13 @@ function drawObserver(ctx, model, viewport) {
   const horizonY = height * 0.72;
 
   const localSky = computeTopocentricObserverSky(model);
-  const sunHorizontal = localSky.sun;
-  const moonHorizontal = localSky.moon;
   const localSepDeg = localSky.separationDeg;
   const sunAngularRadiusDeg = localSky.sunAngularRadiusDeg;
   const moonAngularRadiusDeg = localSky.moonAngularRadiusDeg;
+  const sunDisk = refractedDisk(localSky.sun.altitude, sunAngularRadiusDeg, model);
+  const moonDisk = refractedDisk(localSky.moon.altitude, moonAngularRadiusDeg, model);
+  const sunHorizontal = { ...localSky.sun, altitude: sunDisk.altitude };
+  const moonHorizontal = { ...localSky.moon, altitude: moonDisk.altitude };
 
   const daylight = clamp((sunHorizontal.altitude + 10) / 62, 0, 1);
   const topTone = Math.round(8 + daylight * 92);
@@ -547,15 +542,23 @@ function drawObserver(ctx, model, viewport) {
   const sunR = 15;
   const moonR = clamp(sunR * (moonAngularRadiusDeg / Math.max(sunAngularRadiusDeg, 1e-6)), 10, 21);
 
-  // Keep near-physical horizon criterion (with simple refraction allowance).
-  const sunVisible = sunHorizontal.altitude > -0.8;
-  const moonVisible = moonHorizontal.altitude > -0.8;
+  // A body is up while the apparent upper limb clears the (dipped) horizon.
+  const dipDeg = horizonDipDeg(model.observerElevation);
+  const sunVisible = sunDisk.upperLimb > -dipDeg;
+  const moonVisible = moonDisk.upperLimb > -dipDeg;
+
+  if (dipDeg > 0.05) {
+    const dipY = altAzToXY(0, -dipDeg, width, horizonY, 48).y;
+    ctx.setLineDash([3, 5]);
+    line(ctx, 40, dipY, width - 40, dipY, 'rgba(255,255,255,0.32)', 1);
+    ctx.setLineDash([]);
+  }
 
   if (sunVisible) {
     ctx.fillStyle = 'rgba(255,255,255,0.16)';
     circle(ctx, sun.x, sun.y, 30, true);
     ctx.fillStyle = '#ffffff';
-    circle(ctx, sun.x, sun.y, sunR, true);
+    ellipse(ctx, sun.x, sun.y, sunR, sunR * sunDisk.flattening, true);
   } else {
     ctx.strokeStyle = 'rgba(255,255,255,0.4)';
     ctx.setLineDash([4, 5]);
@@ -580,27 +583,31 @@ function drawObserver(ctx, model, viewport) {
   const rawLocalDepth = sunVisible && moonVisible
     ? overlapFraction(sunAngularRadiusDeg, moonAngularRadiusDeg, localSepDeg)
     : 0;
-  const penumbraRadiusKm = 6371.0 * Math.max(0, model.penumbraRadiusDeg || 0) * DEG;
-  const withinMapPenumbra = model.observerToShadowKm <= penumbraRadiusKm + 25;
-  const localDepth = withinMapPenumbra ? rawLocalDepth : 0;
+  const withinPenumbra = isInsidePenumbra(
+    model.besselian,
+    model.observerLat,
+    model.observerLon,
+    (model.observerElevation ?? 0) / 1000,
+  );
+  const localDepth = withinPenumbra ? rawLocalDepth : 0;
   if (localDepth > 0.0005 && sunVisible) {
-    // Draw eclipse overlay around Sun using true local angular offset.
+    // Draw eclipse overlay around Sun using true local angular offset, squeezed vertically by refraction.
     const relative = relativeOffsetOnSkyDeg(
-      sunHorizontal.azimuth,
-      sunHorizontal.altitude,
-      moonHorizontal.azimuth,
-      moonHorizontal.altitude,
+      localSky.sun.azimuth,
+      localSky.sun.altitude,
+      localSky.moon.azimuth,
+      localSky.moon.altitude,
       localSepDeg,
     );
     const degToPx = sunR / Math.max(sunAngularRadiusDeg, 1e-6);
     const eclipseMoonX = sun.x + relative.dxDeg * degToPx;
-    const eclipseMoonY = sun.y - relative.dyDeg * degToPx;
+    const eclipseMoonY = sun.y - relative.dyDeg * sunDisk.flattening * degToPx;
 
     ctx.fillStyle = `rgba(0,0,0,${0.5 + localDepth * 0.42})`;
-    circle(ctx, eclipseMoonX, eclipseMoonY, moonR, true);
+    ellipse(ctx, eclipseMoonX, eclipseMoonY, moonR, moonR * moonDisk.flattening, true);
     ctx.strokeStyle = 'rgba(255,255,255,0.68)';
     ctx.lineWidth = 1;
-    circle(ctx, eclipseMoonX, eclipseMoonY, moonR);
+    ellipse(ctx, eclipseMoonX, eclipseMoonY, moonR, moonR * moonDisk.flattening);
   }
 
   ctx.setLineDash([6, 5]);
@@ -616,15 +623,31 @@ function drawObserver(ctx, model, viewport) {
     separationDeg: localSepDeg,
     visible: sunVisible && moonVisible,
     depth: localDepth,
+    sunFlattening: sunDisk.flattening,
+    moonFlattening: moonDisk.flattening,
   });
 
   drawModeHeader(ctx, 'LOCAL SKY / HORIZON', width);
   ctx.fillStyle = COLORS.muted;
   ctx.font = '500 11px IBM Plex Mono, monospace';
-  ctx.fillText(`sun alt ${sunHorizontal.altitude.toFixed(1)}°`, 20, 58);
-  ctx.fillText(`moon alt ${moonHorizontal.altitude.toFixed(1)}°`, 20, 74);
+  ctx.fillText(
+    `sun alt ${sunHorizontal.altitude.toFixed(1)}° (refr ${(sunDisk.refractionDeg * 60).toFixed(1)}′)`,
+    20,
+    58,
+  );
+  ctx.fillText(
+    `moon alt ${moonHorizontal.altitude.toFixed(1)}° (refr ${(moonDisk.refractionDeg * 60).toFixed(1)}′)`,
+    20,
+    74,
+  );
   ctx.fillText(`topocentric obscuration ${(localDepth * 100).toFixed(1)}%`, 20, 90);
   ctx.fillText(sunVisible ? 'sun above horizon' : 'sun below horizon', 20, 106);
+  if (dipDeg > 0) {
+    ctx.fillText(`elevation ${Math.round(model.observerElevation)} m · dip ${dipDeg.toFixed(2)}°`, 20, 122);
+  }
+  if (sunVisible && sunDisk.flattening < 0.98) {
+    ctx.fillText(`sun disk flattened to ${(sunDisk.flattening * 100).toFixed(0)}%`, 20, dipDeg > 0 ? 138 : 122);
+  }
 }
 
 function drawSunView(ctx, model, viewport) {
@@ -807,6 +830,89 @@ function drawCrossSection(ctx, model, viewport) {
   ctx.fillText(`not to scale: distance ${Math.round(model.moonDistanceKm).toLocaleString('ru-RU')} km`, width - 320, height - 12);
 }
 
+function drawLunarEclipse(ctx, model, viewport) {
+  const { width, height } = viewport;
+  paintSpaceBackground(ctx, width, height);
+  drawModeHeader(ctx, 'EARTH SHADOW AT LUNAR DISTANCE', width);
+
+  const cx = width * 0.5;
+  const cy = height * 0.53;
+  const penumbraRadiusDeg = Math.max(model.lunarPenumbraRadiusDeg, 1e-6);
+  const degToPx = (Math.min(width, height) * 0.3) / penumbraRadiusDeg;
+  // Sky orientation: north up, east to the left.
+  const toScreen = (offsetXDeg, offsetYDeg) => ({
+    x: cx - offsetXDeg * degToPx,
+    y: cy - offsetYDeg * degToPx,
+  });
+
+  ctx.fillStyle = 'rgba(255,255,255,0.06)';
+  circle(ctx, cx, cy, model.lunarPenumbraRadiusDeg * degToPx, true);
+  ctx.strokeStyle = 'rgba(255,255,255,0.36)';
+  ctx.lineWidth = 1;
+  circle(ctx, cx, cy, model.lunarPenumbraRadiusDeg * degToPx);
+
+  ctx.fillStyle = 'rgba(0,0,0,0.72)';
+  circle(ctx, cx, cy, model.lunarUmbraRadiusDeg * degToPx, true);
+  ctx.strokeStyle = 'rgba(255,255,255,0.7)';
+  circle(ctx, cx, cy, model.lunarUmbraRadiusDeg * degToPx);
+  drawCrosshair(ctx, cx, cy, 'rgba(255,255,255,0.4)', 6, 1);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 36, width, height - 36);
+  ctx.clip();
+
+  ctx.setLineDash([5, 5]);
+  ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  model.lunarTrack.forEach((point, index) => {
+    const { x, y } = toScreen(point.offsetXDeg, point.offsetYDeg);
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = 'rgba(255,255,255,0.5)';
+  ctx.font = '500 10px IBM Plex Mono, monospace';
+  model.lunarTrack.forEach((point) => {
+    if (Math.abs(point.hour % 1) > 1e-6) return;
+    const { x, y } = toScreen(point.offsetXDeg, point.offsetYDeg);
+    circle(ctx, x, y, 2, true);
+    if (point.hour !== 0) ctx.fillText(`${point.hour > 0 ? '+' : ''}${point.hour}h`, x - 10, y - 8);
+  });
+
+  const moon = toScreen(model.lunarOffsetXDeg, model.lunarOffsetYDeg);
+  const moonR = model.moonAngularRadiusDeg * degToPx;
+  const umbralShade = clamp(model.umbralMagnitude, 0, 1);
+  const penumbralShade = clamp(model.penumbralMagnitude, 0, 1);
+  const tone = Math.round(228 - penumbralShade * 60 - umbralShade * 130);
+  ctx.fillStyle = gray(tone);
+  circle(ctx, moon.x, moon.y, moonR, true);
+  ctx.strokeStyle = 'rgba(255,255,255,0.85)';
+  ctx.lineWidth = 1.1;
+  circle(ctx, moon.x, moon.y, moonR);
+  ctx.restore();
+
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = '500 11px IBM Plex Mono, monospace';
+  ctx.fillText('umbra', cx - 16, cy + model.lunarUmbraRadiusDeg * degToPx - 8);
+  ctx.fillText('penumbra', cx - 26, cy + model.lunarPenumbraRadiusDeg * degToPx - 8);
+  ctx.fillText('N up / E left', width - 130, 52);
+  ctx.fillText(model.lunarEclipseClass.toLowerCase(), 18, height - 42);
+  ctx.fillText(
+    `umbral mag ${model.umbralMagnitude.toFixed(3)}   penumbral mag ${model.penumbralMagnitude.toFixed(3)}`,
+    18,
+    height - 26,
+  );
+  ctx.fillText(
+    `umbra ${model.lunarUmbraRadiusDeg.toFixed(3)}°  penumbra ${model.lunarPenumbraRadiusDeg.toFixed(3)}°  moon-shadow ${model.lunarSeparationDeg.toFixed(3)}°`,
+    18,
+    height - 10,
+  );
+}
+
 function drawModeHeader(ctx, title, width) {
   ctx.fillStyle = COLORS.text;
   ctx.font = '600 12px IBM Plex Mono, monospace';
@@ -950,6 +1056,43 @@ function drawSolarIlluminationMap(ctx, model, projection, padX, padY, width, hei
   ctx.restore();
 }
 
+// Darkens each map pixel by the topocentric obscuration there at the current instant.
+function drawObscurationRaster(ctx, model, projection, padX, padY, width, height) {
+  const cols = Math.ceil(width / OBSCURATION_RASTER_STEP_PX);
+  const rows = Math.ceil(height / OBSCURATION_RASTER_STEP_PX);
+  const centerX = padX + width * 0.5;
+  const centerY = padY + height * 0.5;
+  const lons = Array.from(
+    { length: cols },
+    (_, col) => projection.invert([padX + (col + 0.5) * OBSCURATION_RASTER_STEP_PX, centerY])[0],
+  );
+  const lats = Array.from(
+    { length: rows },
+    (_, row) => projection.invert([centerX, padY + (row + 0.5) * OBSCURATION_RASTER_STEP_PX])[1],
+  );
+  const values = obscurationGrid(model.besselian, lats, lons);
+  if (!values.some((value) => value > 0)) return;
+
+  if (!OBSCURATION_RASTER.canvas) OBSCURATION_RASTER.canvas = document.createElement('canvas');
+  const raster = OBSCURATION_RASTER.canvas;
+  raster.width = cols;
+  raster.height = rows;
+  const rasterCtx = raster.getContext('2d');
+  const image = rasterCtx.createImageData(cols, rows);
+  values.forEach((value, index) => {
+    image.data[index * 4 + 3] = Math.round(Math.pow(value, 0.8) * 0.78 * 255);
+  });
+  rasterCtx.putImageData(image, 0, 0);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(padX, padY, width, height);
+  ctx.clip();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(raster, padX, padY, cols * OBSCURATION_RASTER_STEP_PX, rows * OBSCURATION_RASTER_STEP_PX);
+  ctx.restore();
+}
+
 function solveTerminatorLat(lonDeg, subSolarLatDeg, subSolarLonDeg) {
   // Solve altitude(lat)=0 for this longitude with Newton steps.
   const dec = subSolarLatDeg * DEG;
@@ -1002,34 +1145,206 @@ function sphericalDestination(latDeg, lonDeg, radiusDeg, bearingDeg) {
   };
 }
 
-function drawSphericalCircleOnMap(
-  ctx,
-  projection,
-  centerLat,
-  centerLon,
-  radiusDeg,
-  mapWidth,
-  fill = false,
-) {
-  if (radiusDeg <= 0) return;
+// Umbral and penumbral footprints as cone sections on the ellipsoid; rings cut by the limb are outlined only.
+function drawShadowFootprint(ctx, projection, footprint, style) {
+  if (!footprint) return;
+  const path = geoPath(projection, ctx);
+  const toCoordinates = (segment) => segment.map((point) => [point.lon, point.lat]);
+  const fillRing = ({ closed, segments }, fill) => {
+    if (!closed || !fill) return;
+    let ring = { type: 'Polygon', coordinates: [toCoordinates(segments[0])] };
+    if (geoArea(ring) > 2 * Math.PI) {
+      ring = { type: 'Polygon', coordinates: [toCoordinates(segments[0]).reverse()] };
+    }
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    path(ring);
+    ctx.fill();
+  };
+  const strokeOutline = ({ segments }, stroke, width) => {
+    if (!stroke) return;
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    path({ type: 'MultiLineString', coordinates: segments.map(toCoordinates) });
+    ctx.stroke();
+  };
+
+  fillRing(footprint.penumbra, style.penumbraFill);
+  strokeOutline(footprint.penumbra, style.penumbraStroke, 1);
+  fillRing(footprint.umbra, style.umbraFill);
+  strokeOutline(footprint.umbra, 'rgba(255,255,255,0.9)', 1);
+}
+
+function drawPathLimits(ctx, projection, pathLimits) {
+  if (!pathLimits) return;
+  const path = geoPath(projection, ctx);
+  const toLines = (segments) => ({
+    type: 'MultiLineString',
+    coordinates: segments.map((segment) => segment.map((point) => [point.lon, point.lat])),
+  });
+
+  // Umbral/antumbral band as a polygon when both limits are continuous.
+  if (pathLimits.umbraNorth.length === 1 && pathLimits.umbraSouth.length === 1) {
+    const ring = [...pathLimits.umbraNorth[0], ...[...pathLimits.umbraSouth[0]].reverse()].map(
+      (point) => [point.lon, point.lat],
+    );
+    ring.push(ring[0]);
+    let band = { type: 'Polygon', coordinates: [ring] };
+    if (geoArea(band) > 2 * Math.PI) {
+      band = { type: 'Polygon', coordinates: [[...ring].reverse()] };
+    }
+    ctx.fillStyle = 'rgba(0,0,0,0.32)';
+    ctx.beginPath();
+    path(band);
+    ctx.fill();
+  }
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.42)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([2, 4]);
   ctx.beginPath();
-  let started = false;
-  let prevX = 0;
-  for (let bearing = 0; bearing <= 360; bearing += 2) {
-    const point = sphericalDestination(centerLat, centerLon, radiusDeg, bearing);
+  path(toLines([...pathLimits.penumbraNorth, ...pathLimits.penumbraSouth]));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.92)';
+  ctx.lineWidth = 1.3;
+  ctx.beginPath();
+  path(toLines([...pathLimits.umbraNorth, ...pathLimits.umbraSouth]));
+  ctx.stroke();
+}
+
+// Eclipse begins/ends at sunrise/sunset (solid) and maximum at sunrise/sunset (dashed).
+function drawRiseSetCurves(ctx, projection, curves) {
+  if (!curves) return;
+  const path = geoPath(projection, ctx);
+  const toLines = (segments) => ({
+    type: 'MultiLineString',
+    coordinates: segments.map((segment) => segment.map((point) => [point.lon, point.lat])),
+  });
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  path(toLines([...curves.beginRise, ...curves.endRise, ...curves.beginSet, ...curves.endSet]));
+  ctx.stroke();
+
+  ctx.setLineDash([5, 3]);
+  ctx.beginPath();
+  path(toLines([...curves.maxRise, ...curves.maxSet]));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = 'rgba(255,255,255,0.62)';
+  ctx.font = '500 9px IBM Plex Mono, monospace';
+  [
+    { segments: curves.maxRise, label: 'max at sunrise' },
+    { segments: curves.maxSet, label: 'max at sunset' },
+  ].forEach(({ segments, label }) => {
+    const longest = segments.reduce((best, segment) => (segment.length > best.length ? segment : best), []);
+    if (longest.length < 2) return;
+    const middle = longest[Math.floor(longest.length / 2)];
+    const projected = projectLonLat(projection, middle.lon, middle.lat);
+    if (projected) ctx.fillText(label, projected[0] + 4, projected[1] - 4);
+  });
+}
+
+// Greatest obscuration (solid, labelled in %) and magnitude (dashed) reached while the Sun is up.
+function drawIsolines(ctx, projection, isolines) {
+  if (!isolines) return;
+  const path = geoPath(projection, ctx);
+  const toLines = (lines) => ({
+    type: 'MultiLineString',
+    coordinates: lines.map((points) => points.map((point) => [point.lon, point.lat])),
+  });
+
+  ctx.font = '500 9px IBM Plex Mono, monospace';
+  [
+    {
+      contours: isolines.obscuration,
+      stroke: 'rgba(255,255,255,0.5)',
+      dash: [],
+      format: (level) => `${Math.round(level * 100)}%`,
+    },
+    {
+      contours: isolines.magnitude,
+      stroke: 'rgba(255,255,255,0.3)',
+      dash: [3, 3],
+      format: (level) => level.toFixed(1),
+    },
+  ].forEach(({ contours, stroke, dash, format }) => {
+    ctx.strokeStyle = stroke;
+    ctx.fillStyle = stroke;
+    ctx.lineWidth = 1;
+    ctx.setLineDash(dash);
+    contours.forEach(({ level, lines }) => {
+      ctx.beginPath();
+      path(toLines(lines));
+      ctx.stroke();
+
+      const longest = lines.reduce((best, points) => (points.length > best.length ? points : best), []);
+      const anchor = longest.find((point) => isOnVisibleSide(projection, point));
+      const projected = anchor && projectLonLat(projection, anchor.lon, anchor.lat);
+      if (projected) ctx.fillText(format(level), projected[0] + 3, projected[1] - 3);
+    });
+  });
+  ctx.setLineDash([]);
+}
+
+// Direction of the shadow's ground motion at the crosshair; the screen direction comes from projecting
+// a point a little way along the azimuth, so it follows the map's distortion.
+function drawShadowArrow(ctx, projection, model, origin) {
+  if (!model.shadowVelocity) return;
+  const ahead = sphericalDestination(model.centralLat, model.centralLon, 1, model.shadowVelocity.azimuthDeg);
+  const target = projectLonLat(projection, ahead.lon, ahead.lat, 89.999);
+  if (!target) return;
+  const [x0, y0] = origin;
+  const angle = Math.atan2(target[1] - y0, target[0] - x0);
+  const length = 30;
+  const x1 = x0 + Math.cos(angle) * length;
+  const y1 = y0 + Math.sin(angle) * length;
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.95)';
+  ctx.lineWidth = 1.4;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
+  ctx.moveTo(x1 - Math.cos(angle - 0.45) * 7, y1 - Math.sin(angle - 0.45) * 7);
+  ctx.lineTo(x1, y1);
+  ctx.lineTo(x1 - Math.cos(angle + 0.45) * 7, y1 - Math.sin(angle + 0.45) * 7);
+  ctx.stroke();
+
+  ctx.fillStyle = 'rgba(255,255,255,0.85)';
+  ctx.font = '500 9px IBM Plex Mono, monospace';
+  ctx.fillText(`${model.shadowVelocity.speedKmS.toFixed(2)} km/s`, x1 + 4, y1 - 4);
+}
+
+// Points on the central line where a hybrid eclipse switches between annular (A) and total (T).
+function drawTypeSwitches(ctx, projection, centralLine) {
+  if (!centralLine?.hybrid) return;
+  const letters = { annular: 'A', total: 'T' };
+  ctx.font = '600 10px IBM Plex Mono, monospace';
+  centralLine.switches.forEach((point) => {
+    if (!isOnVisibleSide(projection, point)) return;
     const projected = projectLonLat(projection, point.lon, point.lat);
-    if (!projected) continue;
+    if (!projected) return;
     const [x, y] = projected;
-    if (!started || Math.abs(x - prevX) > mapWidth * 0.45) {
-      ctx.moveTo(x, y);
-      started = true;
-    } else {
-      ctx.lineTo(x, y);
-    }
-    prevX = x;
-  }
-  if (fill) ctx.fill();
-  else ctx.stroke();
+    ctx.fillStyle = '#000000';
+    circle(ctx, x, y, 4.5, true);
+    ctx.strokeStyle = 'rgba(255,255,255,0.95)';
+    ctx.lineWidth = 1.4;
+    circle(ctx, x, y, 4.5);
+    ctx.fillStyle = 'rgba(255,255,255,0.92)';
+    ctx.fillText(`${letters[point.from]}→${letters[point.to]}`, x + 7, y + 3);
+  });
+}
+
+// Orthographic projections return coordinates for the far hemisphere too.
+function isOnVisibleSide(projection, point) {
+  if (!projection.clipAngle()) return true;
+  const [rotateLon, rotateLat] = projection.rotate();
+  return geoDistance([point.lon, point.lat], [-rotateLon, -rotateLat]) < Math.PI / 2;
 }
 
 function drawMapContinents(ctx, projection, padX, padY, width, height) {
@@ -1196,6 +1511,8 @@ function drawObserverInset(ctx, options) {
     separationDeg,
     visible,
     depth,
+    sunFlattening = 1,
+    moonFlattening = 1,
   } = options;
   ctx.fillStyle = 'rgba(0,0,0,0.42)';
   roundRect(ctx, x, y, size, size, 10, true);
@@ -1213,17 +1530,32 @@ function drawObserverInset(ctx, options) {
   const sepPx = separationDeg * (sunR / Math.max(sunRadiusDeg, 1e-6));
 
   ctx.fillStyle = visible ? '#ffffff' : 'rgba(255,255,255,0.35)';
-  circle(ctx, cx, cy, sunR, true);
+  ellipse(ctx, cx, cy, sunR, sunR * sunFlattening, true);
   ctx.fillStyle = '#151515';
-  circle(ctx, cx + sepPx, cy, moonR, true);
+  ellipse(ctx, cx + sepPx, cy, moonR, moonR * moonFlattening, true);
   ctx.strokeStyle = 'rgba(255,255,255,0.7)';
-  circle(ctx, cx + sepPx, cy, moonR);
+  ellipse(ctx, cx + sepPx, cy, moonR, moonR * moonFlattening);
 
   ctx.fillStyle = 'rgba(255,255,255,0.58)';
   ctx.font = '500 9px IBM Plex Mono, monospace';
   ctx.fillText(`${(depth * 100).toFixed(1)}%`, x + 8, y + size - 8);
 }
 
+// Refraction lifts the lower limb more than the upper one, so the disk looks squashed near the horizon.
+function refractedDisk(trueAltitudeDeg, radiusDeg, model) {
+  const apparent = (altitude) =>
+    altitude + atmosphericRefractionDeg(altitude, model.pressureHpa, model.temperatureC);
+  const upperLimb = apparent(trueAltitudeDeg + radiusDeg);
+  const lowerLimb = apparent(trueAltitudeDeg - radiusDeg);
+  const altitude = apparent(trueAltitudeDeg);
+  return {
+    altitude,
+    refractionDeg: altitude - trueAltitudeDeg,
+    upperLimb,
+    flattening: clamp((upperLimb - lowerLimb) / (2 * Math.max(radiusDeg, 1e-6)), 0.3, 1),
+  };
+}
+
 function sphericalSeparationDeg(az1Deg, alt1Deg, az2Deg, alt2Deg) {
   const az1 = az1Deg * DEG;
   const alt1 = alt1Deg * DEG;
@@ -1257,7 +1589,11 @@ function computeTopocentricObserverSky(model) {
     };
   }
 
-  const observer = earthFixedObserverVector(model.observerLat, model.observerLon, 6371.0);
+  const observer = geodeticToEarthFixed(
+    model.observerLat,
+    model.observerLon,
+    (model.observerElevation ?? 0) / 1000,
+  );
   const sunTopo = subtractVector(earthFixed.sunFromEarthKm, observer);
   const moonTopo = subtractVector(earthFixed.moonFromEarthKm, observer);
 
@@ -1288,17 +1624,6 @@ function subtractVector(a, b) {
   return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
 }
 
-function earthFixedObserverVector(latDeg, lonDeg, radiusKm) {
-  const lat = latDeg * DEG;
-  const lon = lonDeg * DEG;
-  const cosLat = Math.cos(lat);
-  return {
-    x: radiusKm * cosLat * Math.cos(lon),
-    y: radiusKm * cosLat * Math.sin(lon),
-    z: radiusKm * Math.sin(lat),
-  };
-}
-
 function topocentricHorizontalFromEcef(vector, latDeg, lonDeg) {
   const lat = latDeg * DEG;
   const lon = lonDeg * DEG;
@@ -1379,6 +1704,13 @@ function circle(ctx, x, y, r, fill = false) {
   else ctx.stroke();
 }
 
+function ellipse(ctx, x, y, rx, ry, fill = false) {
+  ctx.beginPath();
+  ctx.ellipse(x, y, rx, ry, 0, 0, Math.PI * 2);
+  if (fill) ctx.fill();
+  else ctx.stroke();
+}
+
 function drawAxisBracket(ctx, x1, x2, y, color) {
   const left = Math.min(x1, x2);
   const right = Math.max(x1, x2);
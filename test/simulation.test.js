@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findGreatestEclipse, findSarosMember, getRealParameters } from '../src/simulation.js';
+
+const HOUR_MS = 3600000;
+
+// Greatest eclipse nearest to isoDate, simulated from startDate with the precise ephemeris.
+function greatestEclipseNear(isoDate, startDate = new Date(isoDate)) {
+  const base = { ...getRealParameters(startDate), ephemeris: 'precise' };
+  return findGreatestEclipse(base, (Date.parse(isoDate) - startDate.getTime()) / HOUR_MS, startDate);
+}
+
+describe('Earth rotation', () => {
+  it('places the 2024-04-08 greatest eclipse at the same longitude from any start year', () => {
+    const reference = greatestEclipseNear('2024-04-08T18:00:00Z');
+    assert.ok(Math.abs(reference.lon + 104.1) < 0.1);
+    [1924, 1724].forEach((year) => {
+      const eclipse = greatestEclipseNear('2024-04-08T18:00:00Z', new Date(Date.UTC(year, 0, 1)));
+      assert.ok(Math.abs(eclipse.lon - reference.lon) < 0.01, `${year}: ${eclipse.lon}`);
+      assert.ok(Math.abs(eclipse.lat - reference.lat) < 0.01, `${year}: ${eclipse.lat}`);
+    });
+  });
+});
+
+describe('eclipse existence', () => {
+  // Spherical-Earth tests report these penumbras, which pass just outside the flattened limb.
+  ['1718-03-31T12:00:00Z', '1085-09-27T12:00:00Z'].forEach((isoDate) => {
+    it(`reports no eclipse at the grazing new moon of ${isoDate.slice(0, 10)}`, () => {
+      assert.equal(greatestEclipseNear(isoDate), null);
+    });
+  });
+});
+
+describe('Saros numbering', () => {
+  // Series and member numbers from the NASA Five Millennium Canon.
+  [
+    ['2023-04-20T04:00:00Z', 129, 52],
+    ['2024-04-08T18:00:00Z', 139, 30],
+    ['2024-10-02T18:00:00Z', 144, 17],
+  ].forEach(([isoDate, saros, member]) => {
+    it(`numbers the eclipse of ${isoDate.slice(0, 10)} as Saros ${saros}, member ${member}`, () => {
+      const startDate = new Date(isoDate);
+      const base = { ...getRealParameters(startDate), ephemeris: 'precise' };
+      const eclipse = findGreatestEclipse(base, 0, startDate);
+      assert.equal(eclipse.saros, saros);
+      assert.equal(findSarosMember(base, eclipse, startDate), member);
+    });
+  });
+});